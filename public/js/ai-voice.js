@@ -0,0 +1,58 @@
+// The AI assistant's voice as a real audio track. Whoever asked the question
+// plays the synthesised speech into a Web Audio destination whose track is on
+// every one of their peer connections, so the rest of the room hears it
+// mixed in with that person's audio, at the same time and over the same path
+// as any voice, while they hear it through their own speakers.
+class AIVoice {
+  constructor({ onSpeakingChange }) {
+    this.onSpeakingChange = onSpeakingChange;
+
+    this.context = new AudioContext();
+    this.destination = this.context.createMediaStreamDestination();
+    // Silent until something is played
+    this.stream = this.destination.stream;
+    this.track = this.stream.getAudioTracks()[0];
+
+    this.speaking = false;
+    // Context time at which the last queued clip finishes
+    this.endsAt = 0;
+    this.sources = new Set();
+  }
+
+  // Decode a clip and play it straight after whatever is already queued
+  async enqueue(audioData) {
+    const buffer = await this.context.decodeAudioData(audioData);
+
+    // Needs the user to have interacted with the page, which asking has done
+    this.context.resume();
+
+    const source = this.context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(this.destination);
+    source.connect(this.context.destination);
+
+    const startAt = Math.max(this.context.currentTime, this.endsAt);
+    source.start(startAt);
+    this.endsAt = startAt + buffer.duration;
+    this.sources.add(source);
+    this.setSpeaking(true);
+
+    source.onended = () => {
+      this.sources.delete(source);
+      if (this.sources.size === 0) this.setSpeaking(false);
+    };
+  }
+
+  // Stop playing and drop whatever is queued
+  stop() {
+    this.sources.forEach(source => source.stop());
+    this.endsAt = 0;
+  }
+
+  setSpeaking(speaking) {
+    if (speaking === this.speaking) return;
+
+    this.speaking = speaking;
+    this.onSpeakingChange(speaking);
+  }
+}
@@ -0,0 +1,164 @@
+// Sender-side video adaptation for the full mesh. Every peer gets its own
+// copy of our video, so the more peers there are the less each copy may use;
+// within that budget each copy follows the bandwidth measured to that peer,
+// and video to a peer is paused (audio keeps flowing) while loss stays high.
+// A shared screen keeps its full resolution, since scaled-down text is
+// unreadable; it gives up frame rate and bitrate instead.
+//
+// A peer in the mesh decodes a single stream from us, so simulcast's spatial
+// layers would be wasted; each copy is one encoding, and its layers are
+// temporal ones (scalabilityMode L1T3 down to L1T1). Every layer costs some
+// compression efficiency, so as the room grows and the per-copy budget
+// shrinks, copies drop to fewer layers along with a lower bitrate and
+// resolution. Browsers without scalabilityMode just get the budget.
+
+// Per-copy budget by number of peers
+const BITRATE_TIERS = [
+  { maxPeers: 2, layers: 3, maxBitrate: 1500000, scaleResolutionDownBy: 1, maxFramerate: 30 },
+  { maxPeers: 4, layers: 3, maxBitrate: 800000, scaleResolutionDownBy: 1.5, maxFramerate: 24 },
+  { maxPeers: 6, layers: 2, maxBitrate: 500000, scaleResolutionDownBy: 2, maxFramerate: 20 },
+  { maxPeers: Infinity, layers: 1, maxBitrate: 300000, scaleResolutionDownBy: 3, maxFramerate: 15 }
+];
+
+// Leave headroom under the estimated available bandwidth for audio and spikes
+const BANDWIDTH_HEADROOM = 0.85;
+const MIN_VIDEO_BITRATE = 150000;
+
+// Loss (as reported by the far end) that pauses video, and how many
+// consecutive samples it has to persist for before we pause or resume
+const PAUSE_LOSS_PERCENT = 10;
+const RESUME_LOSS_PERCENT = 3;
+const PAUSE_AFTER_SAMPLES = 5;
+const RESUME_AFTER_SAMPLES = 8;
+
+class BitrateController {
+  constructor({ getPeers, isScreenSharing, onPausedChange }) {
+    this.getPeers = getPeers;
+    this.isScreenSharing = isScreenSharing;
+    this.onPausedChange = onPausedChange;
+
+    // Per peer: { paused, badSamples, goodSamples, applied }
+    this.state = new Map();
+    // Cleared the first time a browser refuses to change scalabilityMode
+    this.canSetLayers = true;
+  }
+
+  forget(userId) {
+    this.state.delete(userId);
+  }
+
+  tierFor(peerCount) {
+    return BITRATE_TIERS.find(tier => peerCount <= tier.maxPeers);
+  }
+
+  // Called with every stats sample for a peer
+  async update(userId, sample) {
+    const peer = this.getPeers().get(userId);
+    if (!peer) return;
+
+    const sender = peer.connection.getSenders().find(s => s.track && s.track.kind === 'video');
+    if (!sender) return;
+
+    if (!this.state.has(userId)) {
+      this.state.set(userId, { paused: false, badSamples: 0, goodSamples: 0, applied: null });
+    }
+    const state = this.state.get(userId);
+
+    // Paused video stops reporting loss, so judge recovery by the audio
+    this.trackLoss(userId, state, state.paused ? sample.remoteAudioPacketLoss : sample.remotePacketLoss);
+
+    const tier = this.tierFor(this.getPeers().size);
+    let maxBitrate = tier.maxBitrate;
+    let { scaleResolutionDownBy, maxFramerate } = tier;
+
+    // Cap to what the path to this peer can actually carry
+    if (sample.availableOutgoingBitrate) {
+      const available = sample.availableOutgoingBitrate * BANDWIDTH_HEADROOM;
+      maxBitrate = Math.max(MIN_VIDEO_BITRATE, Math.min(maxBitrate, available));
+
+      // Fewer, sharper pixels beat a blurry full-size picture on a thin link
+      if (available < 300000) {
+        scaleResolutionDownBy = Math.max(scaleResolutionDownBy, 3);
+        maxFramerate = Math.min(maxFramerate, 15);
+      } else if (available < 600000) {
+        scaleResolutionDownBy = Math.max(scaleResolutionDownBy, 2);
+        maxFramerate = Math.min(maxFramerate, 20);
+      }
+    }
+
+    if (this.isScreenSharing()) {
+      scaleResolutionDownBy = 1;
+    }
+
+    const target = {
+      active: !state.paused,
+      scalabilityMode: `L1T${tier.layers}`,
+      maxBitrate: Math.round(maxBitrate),
+      scaleResolutionDownBy,
+      maxFramerate
+    };
+
+    if (this.sameTarget(state.applied, target)) return;
+
+    try {
+      await this.apply(sender, target, this.canSetLayers);
+      state.applied = target;
+    } catch (error) {
+      if (!this.canSetLayers) {
+        console.error('Failed to adapt video bitrate:', error);
+        return;
+      }
+
+      // Older browsers reject a new scalabilityMode; keep to the budget alone
+      try {
+        await this.apply(sender, target, false);
+        state.applied = target;
+        this.canSetLayers = false;
+      } catch (retryError) {
+        console.error('Failed to adapt video bitrate:', retryError);
+      }
+    }
+  }
+
+  async apply(sender, target, withLayers) {
+    const params = sender.getParameters();
+    if (!params.encodings || params.encodings.length === 0) return;
+
+    const [encoding] = params.encodings;
+    encoding.active = target.active;
+    encoding.maxBitrate = target.maxBitrate;
+    encoding.maxFramerate = target.maxFramerate;
+    encoding.scaleResolutionDownBy = target.scaleResolutionDownBy;
+    // Only browsers that report the encoder's layers can be asked to change them
+    if (withLayers && encoding.scalabilityMode) {
+      encoding.scalabilityMode = target.scalabilityMode;
+    }
+
+    await sender.setParameters(params);
+  }
+
+  // Pause video to a peer when loss persists; resume once it has settled
+  trackLoss(userId, state, loss) {
+    if (loss === null || loss === undefined) return;
+
+    if (!state.paused) {
+      state.badSamples = loss >= PAUSE_LOSS_PERCENT ? state.badSamples + 1 : 0;
+      if (state.badSamples >= PAUSE_AFTER_SAMPLES) {
+        state.paused = true;
+        state.goodSamples = 0;
+        this.onPausedChange(userId, true);
+      }
+    } else {
+      state.goodSamples = loss <= RESUME_LOSS_PERCENT ? state.goodSamples + 1 : 0;
+      if (state.goodSamples >= RESUME_AFTER_SAMPLES) {
+        state.paused = false;
+        state.badSamples = 0;
+        this.onPausedChange(userId, false);
+      }
+    }
+  }
+
+  sameTarget(a, b) {
+    return !!a && Object.keys(b).every(key => a[key] === b[key]);
+  }
+}
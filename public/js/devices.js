@@ -0,0 +1,113 @@
+// Which camera, microphone and speaker to use. Choices are remembered in
+// localStorage by device ID, which browsers keep stable for a site once it
+// has been given media permission; an empty choice means the system default.
+// Also measures how loud the microphone is, for the level meter.
+const DEVICE_KINDS = ['videoinput', 'audioinput', 'audiooutput'];
+
+class DeviceManager {
+  constructor({ onDevicesChange = () => {} } = {}) {
+    this.choices = this.loadChoices();
+    // Only some browsers can send a media element to another speaker
+    this.canPickSpeaker = 'setSinkId' in HTMLMediaElement.prototype;
+
+    this.meterContext = null;
+    this.meterFrame = null;
+
+    // Headsets and webcams come and go. Without a secure context there are
+    // no media devices at all, which getUserMedia reports when it's called.
+    if (navigator.mediaDevices) {
+      navigator.mediaDevices.addEventListener('devicechange', () => onDevicesChange());
+    }
+  }
+
+  loadChoices() {
+    try {
+      return JSON.parse(localStorage.getItem('devices')) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  chosen(kind) {
+    return this.choices[kind] || '';
+  }
+
+  choose(kind, deviceId) {
+    this.choices[kind] = deviceId;
+    localStorage.setItem('devices', JSON.stringify(this.choices));
+  }
+
+  // getUserMedia constraints for the chosen camera and microphone. A
+  // remembered device that has since been unplugged falls back to another
+  // one instead of failing.
+  constraints() {
+    return {
+      video: this.trackConstraints('videoinput'),
+      audio: this.trackConstraints('audioinput')
+    };
+  }
+
+  trackConstraints(kind, { exact = false } = {}) {
+    const deviceId = this.chosen(kind);
+    if (!deviceId) return true;
+    return { deviceId: exact ? { exact: deviceId } : { ideal: deviceId } };
+  }
+
+  // Devices by kind. Labels are only filled in once media permission has
+  // been granted, so call this after getUserMedia.
+  async list() {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const byKind = Object.fromEntries(DEVICE_KINDS.map(kind => [kind, []]));
+    devices.forEach(device => {
+      if (byKind[device.kind] && device.deviceId) byKind[device.kind].push(device);
+    });
+    return byKind;
+  }
+
+  // Play a media element or audio context through the chosen speaker
+  async applySpeaker(output) {
+    if (!this.canPickSpeaker || typeof output.setSinkId !== 'function') return;
+
+    try {
+      await output.setSinkId(this.chosen('audiooutput'));
+    } catch (error) {
+      console.error('Failed to switch speaker:', error);
+    }
+  }
+
+  // Call onLevel with the microphone's loudness, 0 to 1, on every frame
+  // until stopMeter; only one stream is measured at a time
+  startMeter(stream, onLevel) {
+    this.stopMeter();
+    if (stream.getAudioTracks().length === 0) return;
+
+    this.meterContext = new AudioContext();
+    const analyser = this.meterContext.createAnalyser();
+    analyser.fftSize = 512;
+    this.meterContext.createMediaStreamSource(stream).connect(analyser);
+
+    const samples = new Uint8Array(analyser.fftSize);
+    const measure = () => {
+      analyser.getByteTimeDomainData(samples);
+      let sum = 0;
+      samples.forEach(sample => {
+        const value = (sample - 128) / 128;
+        sum += value * value;
+      });
+      // Speech sits well below full scale, so stretch the RMS a little
+      onLevel(Math.min(1, Math.sqrt(sum / samples.length) * 4));
+      this.meterFrame = requestAnimationFrame(measure);
+    };
+    measure();
+  }
+
+  stopMeter() {
+    cancelAnimationFrame(this.meterFrame);
+    this.meterFrame = null;
+
+    if (this.meterContext) {
+      this.meterContext.close();
+      this.meterContext = null;
+    }
+  }
+}
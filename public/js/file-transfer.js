@@ -0,0 +1,350 @@
+// Peer-to-peer file transfer over a data channel on each peer connection.
+// File bytes never touch the server. Each peer gets one file at a time:
+//
+//   sender                          receiver
+//   { type: 'offer', meta }   -->
+//                             <--   { type: 'accept', id, offset }
+//                                   or { type: 'decline', id }
+//   binary chunks from offset -->
+//   { type: 'end', id }       -->
+//                             <--   { type: 'complete', id, ok }
+//
+// Nothing is received until the user accepts the offer, and offers over
+// MAX_FILE_SIZE are declined outright. The receiver keeps what it has so far
+// if the channel drops, and answers a re-offer of the same file with how much
+// it already has, so the sender only sends the rest. The SHA-256 in the offer
+// is checked once all bytes are in.
+
+// Both ends create the channel with this ID, so neither has to announce it
+const FILE_CHANNEL_ID = 1;
+
+const CHUNK_SIZE = 16 * 1024;
+const MAX_FILE_SIZE = 100 * 1024 * 1024;
+
+// Stop queueing chunks above the high mark until the buffer drains to the low one
+const BUFFER_HIGH_WATER = 4 * 1024 * 1024;
+const BUFFER_LOW_WATER = 1024 * 1024;
+
+class FileTransferManager {
+  constructor({ onUpdate }) {
+    this.onUpdate = onUpdate;
+
+    this.channels = new Map();
+    // Keyed by `${userId}:${transferId}`
+    this.outgoing = new Map();
+    this.incoming = new Map();
+    // The transfer currently in flight to / from each peer
+    this.activeOutgoing = new Map();
+    this.activeIncoming = new Map();
+  }
+
+  // Called for every new peer connection, including replacements after a
+  // reconnect; unfinished transfers to that peer carry on once it opens
+  attach(userId, connection) {
+    this.interrupt(userId);
+
+    const channel = connection.createDataChannel('files', { negotiated: true, id: FILE_CHANNEL_ID });
+    channel.binaryType = 'arraybuffer';
+    channel.bufferedAmountLowThreshold = BUFFER_LOW_WATER;
+    this.channels.set(userId, channel);
+
+    channel.onopen = () => this.sendNext(userId);
+    channel.onclose = () => {
+      if (this.channels.get(userId) === channel) {
+        this.interrupt(userId);
+      }
+    };
+    channel.onmessage = (event) => {
+      if (typeof event.data === 'string') {
+        let message;
+        try {
+          message = JSON.parse(event.data);
+        } catch (error) {
+          console.warn('Ignoring malformed file transfer message:', error);
+          return;
+        }
+        if (message && typeof message === 'object') this.handleControl(userId, message);
+      } else {
+        this.handleChunk(userId, event.data);
+      }
+    };
+  }
+
+  // The peer left the meeting for good
+  forget(userId) {
+    this.channels.delete(userId);
+    this.activeOutgoing.delete(userId);
+    this.activeIncoming.delete(userId);
+
+    [this.outgoing, this.incoming].forEach(transfers => {
+      transfers.forEach((transfer, key) => {
+        if (transfer.userId !== userId) return;
+
+        if (transfer.status !== 'done' && transfer.status !== 'failed') {
+          this.update(transfer, { status: 'failed', error: 'Participant left' });
+        }
+        transfers.delete(key);
+      });
+    });
+  }
+
+  async sendFile(file, userIds) {
+    if (file.size > MAX_FILE_SIZE) {
+      throw new Error(`Files must be under ${MAX_FILE_SIZE / 1024 / 1024} MB`);
+    }
+
+    const meta = {
+      id: crypto.randomUUID(),
+      name: file.name,
+      size: file.size,
+      mimeType: file.type,
+      sha256: await sha256(await file.arrayBuffer())
+    };
+
+    userIds.forEach(userId => {
+      const transfer = { ...meta, meta, file, userId, direction: 'send', transferred: 0, status: 'waiting' };
+      this.outgoing.set(`${userId}:${meta.id}`, transfer);
+      this.onUpdate(transfer);
+      this.sendNext(userId);
+    });
+  }
+
+  // Offer the next unfinished file to a peer, unless one is already going
+  sendNext(userId) {
+    const channel = this.channels.get(userId);
+    if (!channel || channel.readyState !== 'open' || this.activeOutgoing.has(userId)) return;
+
+    const transfer = Array.from(this.outgoing.values()).find(t =>
+      t.userId === userId && (t.status === 'waiting' || t.status === 'interrupted'));
+    if (!transfer) return;
+
+    this.activeOutgoing.set(userId, transfer);
+    this.update(transfer, { status: 'waiting' });
+    channel.send(JSON.stringify({ type: 'offer', meta: transfer.meta }));
+  }
+
+  // The channel to a peer went away; whatever was in flight can resume later
+  interrupt(userId) {
+    const outgoing = this.activeOutgoing.get(userId);
+    if (outgoing) {
+      this.activeOutgoing.delete(userId);
+      this.update(outgoing, { status: 'interrupted' });
+    }
+
+    const incoming = this.activeIncoming.get(userId);
+    if (incoming) {
+      this.activeIncoming.delete(userId);
+      this.update(incoming, { status: 'interrupted' });
+    }
+  }
+
+  handleControl(userId, message) {
+    if (message.type === 'offer') {
+      this.receiveOffer(userId, message.meta);
+    } else if (message.type === 'accept') {
+      const transfer = this.activeOutgoing.get(userId);
+      if (transfer && transfer.id === message.id) {
+        this.pump(userId, transfer, message.offset);
+      }
+    } else if (message.type === 'decline') {
+      const transfer = this.activeOutgoing.get(userId);
+      if (transfer && transfer.id === message.id) {
+        this.activeOutgoing.delete(userId);
+        this.update(transfer, { status: 'failed', error: 'Declined' });
+        this.sendNext(userId);
+      }
+    } else if (message.type === 'end') {
+      this.finishIncoming(userId, message.id);
+    } else if (message.type === 'complete') {
+      const transfer = this.activeOutgoing.get(userId);
+      if (transfer && transfer.id === message.id) {
+        this.activeOutgoing.delete(userId);
+        this.update(transfer, message.ok
+          ? { status: 'done' }
+          : { status: 'failed', error: 'The received file was corrupted' });
+        this.sendNext(userId);
+      }
+    }
+  }
+
+  // A new file waits for the user to accept it; one we already have part of
+  // picks up where it stopped
+  receiveOffer(userId, meta) {
+    if (!isValidMeta(meta)) {
+      if (meta && typeof meta.id === 'string') this.send(userId, { type: 'decline', id: meta.id });
+      return;
+    }
+
+    const key = `${userId}:${meta.id}`;
+    let transfer = this.incoming.get(key);
+
+    if (!transfer || transfer.status === 'failed') {
+      transfer = {
+        id: meta.id,
+        name: meta.name,
+        size: meta.size,
+        mimeType: meta.mimeType,
+        sha256: meta.sha256,
+        userId,
+        direction: 'receive',
+        chunks: [],
+        transferred: 0,
+        status: 'offered'
+      };
+      this.incoming.set(key, transfer);
+    }
+
+    if (transfer.status === 'offered') {
+      this.onUpdate(transfer);
+    } else if (transfer.status === 'done') {
+      this.send(userId, { type: 'complete', id: meta.id, ok: true });
+    } else {
+      this.startReceiving(userId, transfer);
+    }
+  }
+
+  // The user's answer to an offered file
+  accept(userId, id) {
+    const transfer = this.incoming.get(`${userId}:${id}`);
+    if (transfer && transfer.status === 'offered') {
+      this.startReceiving(userId, transfer);
+    }
+  }
+
+  decline(userId, id) {
+    const transfer = this.incoming.get(`${userId}:${id}`);
+    if (!transfer || transfer.status !== 'offered') return;
+
+    this.update(transfer, { status: 'failed', error: 'Declined' });
+    this.send(userId, { type: 'decline', id });
+  }
+
+  startReceiving(userId, transfer) {
+    // Accepted while the channel was down: the sender offers it again once
+    // it's back, and then it carries on without asking
+    const channel = this.channels.get(userId);
+    if (!channel || channel.readyState !== 'open') {
+      this.update(transfer, { status: 'interrupted' });
+      return;
+    }
+
+    this.activeIncoming.set(userId, transfer);
+    this.update(transfer, { status: 'receiving' });
+    channel.send(JSON.stringify({
+      type: 'accept',
+      id: transfer.id,
+      offset: transfer.transferred
+    }));
+  }
+
+  handleChunk(userId, chunk) {
+    const transfer = this.activeIncoming.get(userId);
+    if (!transfer) return;
+
+    // More than was offered: the sender is broken or hostile, so stop
+    // holding on to its bytes
+    if (transfer.transferred + chunk.byteLength > transfer.size) {
+      this.activeIncoming.delete(userId);
+      transfer.chunks = [];
+      this.update(transfer, { status: 'failed', transferred: 0, error: 'Received more than the file size' });
+      this.send(userId, { type: 'complete', id: transfer.id, ok: false });
+      return;
+    }
+
+    transfer.chunks.push(chunk);
+    this.progress(transfer, transfer.transferred + chunk.byteLength);
+  }
+
+  async finishIncoming(userId, id) {
+    const transfer = this.activeIncoming.get(userId);
+    if (!transfer || transfer.id !== id) return;
+
+    this.activeIncoming.delete(userId);
+    this.update(transfer, { status: 'verifying' });
+
+    const blob = new Blob(transfer.chunks, { type: transfer.mimeType });
+    const ok = blob.size === transfer.size && await sha256(await blob.arrayBuffer()) === transfer.sha256;
+    transfer.chunks = [];
+
+    if (ok) {
+      this.update(transfer, { status: 'done', url: URL.createObjectURL(blob) });
+    } else {
+      this.update(transfer, { status: 'failed', transferred: 0, error: 'Checksum mismatch' });
+    }
+
+    this.send(userId, { type: 'complete', id, ok });
+  }
+
+  // A control message, if the channel to that peer is open
+  send(userId, message) {
+    const channel = this.channels.get(userId);
+    if (channel && channel.readyState === 'open') {
+      channel.send(JSON.stringify(message));
+    }
+  }
+
+  // Send chunks from offset, backing off whenever the channel's buffer fills
+  async pump(userId, transfer, offset) {
+    const channel = this.channels.get(userId);
+    transfer.transferred = offset;
+    this.update(transfer, { status: 'sending' });
+
+    while (transfer.transferred < transfer.size) {
+      if (this.channels.get(userId) !== channel || channel.readyState !== 'open' ||
+          this.activeOutgoing.get(userId) !== transfer) {
+        return;
+      }
+
+      if (channel.bufferedAmount > BUFFER_HIGH_WATER) {
+        await waitForDrain(channel);
+        continue;
+      }
+
+      const end = Math.min(transfer.transferred + CHUNK_SIZE, transfer.size);
+      const chunk = await transfer.file.slice(transfer.transferred, end).arrayBuffer();
+      if (channel.readyState !== 'open') return;
+
+      channel.send(chunk);
+      this.progress(transfer, end);
+    }
+
+    channel.send(JSON.stringify({ type: 'end', id: transfer.id }));
+    this.update(transfer, { status: 'verifying' });
+  }
+
+  // Only redraw when the whole percentage changes
+  progress(transfer, transferred) {
+    const before = Math.floor(transfer.transferred / transfer.size * 100);
+    transfer.transferred = transferred;
+    if (Math.floor(transferred / transfer.size * 100) !== before) {
+      this.onUpdate(transfer);
+    }
+  }
+
+  update(transfer, changes) {
+    Object.assign(transfer, changes);
+    this.onUpdate(transfer);
+  }
+}
+
+// Offers come from peers, so anything odd or too big is turned down
+function isValidMeta(meta) {
+  return !!meta && typeof meta === 'object' &&
+    typeof meta.id === 'string' && meta.id.length > 0 && meta.id.length <= 64 &&
+    typeof meta.name === 'string' && meta.name.length <= 255 &&
+    typeof meta.mimeType === 'string' && meta.mimeType.length <= 255 &&
+    Number.isInteger(meta.size) && meta.size >= 0 && meta.size <= MAX_FILE_SIZE &&
+    typeof meta.sha256 === 'string' && /^[0-9a-f]{64}$/.test(meta.sha256);
+}
+
+async function sha256(buffer) {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function waitForDrain(channel) {
+  return new Promise(resolve => {
+    channel.addEventListener('bufferedamountlow', resolve, { once: true });
+    channel.addEventListener('close', resolve, { once: true });
+  });
+}
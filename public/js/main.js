@@ -3,7 +3,24 @@ document.addEventListener('DOMContentLoaded', () => {
   const form = document.getElementById('join-form');
   const usernameInput = document.getElementById('username');
   const roomIdInput = document.getElementById('room-id');
+  const passwordInput = document.getElementById('room-password');
   const btnText = document.getElementById('btn-text');
+  const notice = document.getElementById('notice');
+
+  // Show why we were sent back from a room (removed, meeting ended, ...)
+  const noticeText = sessionStorage.getItem('notice');
+  if (noticeText) {
+    notice.textContent = noticeText;
+    notice.hidden = false;
+    sessionStorage.removeItem('notice');
+  }
+
+  // Minutes of a meeting that just ended are written after everyone has left
+  const minutesId = sessionStorage.getItem('minutesId');
+  if (minutesId) {
+    sessionStorage.removeItem('minutesId');
+    showMinutes(minutesId);
+  }
 
   // Update button text based on room ID input
   roomIdInput.addEventListener('input', () => {
@@ -31,13 +48,48 @@ document.addEventListener('DOMContentLoaded', () => {
       roomId = generateRoomId();
     }
 
-    // Store username in session storage
+    // Store username (and password, if any) in session storage
     sessionStorage.setItem('username', username);
+    sessionStorage.setItem('roomPassword', passwordInput.value);
+
+    // Personal invite links carry a signed token for exactly one room
+    if (tokenFromUrl && roomId === roomFromUrl) {
+      sessionStorage.setItem('joinToken', tokenFromUrl);
+    } else {
+      sessionStorage.removeItem('joinToken');
+    }
 
     // Navigate to room
     window.location.href = `/room.html?room=${encodeURIComponent(roomId)}`;
   });
 
+  // Wait for the minutes to be ready, then offer them for download
+  async function showMinutes(id, attempts = 40) {
+    const status = document.createElement('p');
+    status.className = 'notice-minutes';
+    status.textContent = 'Writing the meeting minutes...';
+    notice.appendChild(status);
+    notice.hidden = false;
+
+    for (let i = 0; i < attempts; i++) {
+      try {
+        const response = await fetch(`/api/minutes/${encodeURIComponent(id)}/status`);
+        const { status: state } = await response.json();
+
+        if (state === 'ready') {
+          status.innerHTML = `<a href="/api/minutes/${encodeURIComponent(id)}">Download the meeting minutes</a>`;
+          return;
+        }
+        if (state === 'failed') break;
+      } catch (error) {
+        console.error('Failed to check minutes:', error);
+      }
+      await new Promise(resolve => setTimeout(resolve, 3000));
+    }
+
+    status.textContent = 'The meeting minutes could not be written.';
+  }
+
   // Generate a random room ID
   function generateRoomId() {
     const chars = 'abcdefghijklmnopqrstuvwxyz0123456789';
@@ -51,11 +103,36 @@ document.addEventListener('DOMContentLoaded', () => {
     return result;
   }
 
+  // Read a token's claims without verifying it; the server does that on join
+  function decodeToken(token) {
+    try {
+      const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+      return JSON.parse(decodeURIComponent(escape(atob(payload))));
+    } catch (error) {
+      return null;
+    }
+  }
+
   // Check if there's a room ID in the URL (for join links)
   const urlParams = new URLSearchParams(window.location.search);
   const roomFromUrl = urlParams.get('room');
+  const tokenFromUrl = urlParams.get('token');
+  const claims = tokenFromUrl && decodeToken(tokenFromUrl);
+
+  // The invite decides who you are and which room you join
+  if (claims) {
+    usernameInput.value = claims.name;
+    usernameInput.readOnly = true;
+    roomIdInput.readOnly = true;
+  }
   if (roomFromUrl) {
     roomIdInput.value = roomFromUrl;
     btnText.textContent = 'Join Room';
+
+    // Coming back from a failed join: let them fix it straight away
+    if (noticeText) {
+      usernameInput.value = sessionStorage.getItem('username') || '';
+      (usernameInput.value ? passwordInput : usernameInput).focus();
+    }
   }
 });
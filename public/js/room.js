@@ -1,4 +1,29 @@
 // Room logic with WebRTC
+
+// How long a 'disconnected' peer gets to recover before we restart ICE
+const ICE_RESTART_DELAY_MS = 3000;
+const MAX_ICE_RESTARTS = 5;
+
+// Relayed by the server to one peer, who may have left by the time it arrives
+const SIGNALING_EVENTS = ['offer', 'answer', 'ice-candidate'];
+
+// Where a streamed AI reply can be cut into a sentence to speak
+const SENTENCE_END = /[.!?]+["')\]]*\s+|\n+/;
+
+// How long a finished caption stays under its speaker's tile
+const CAPTION_LINGER_MS = 4000;
+
+// The server's limits on a caption and a transcript segment. A long phrase
+// keeps its latest words as a caption; a segment keeps its start.
+const MAX_CAPTION_LENGTH = 500;
+const MAX_SEGMENT_LENGTH = 2000;
+
+// At most one toast this often about speech being refused for rate limits
+const SPEECH_LIMIT_TOAST_INTERVAL_MS = 10000;
+
+// How long leaving waits to hear whether the meeting's minutes are coming
+const LEAVE_TIMEOUT_MS = 2000;
+
 class WebConference {
   constructor() {
     this.socket = io();
@@ -11,20 +36,111 @@ class WebConference {
     this.isVideoEnabled = true;
     this.isScreenSharing = false;
     this.isChatVisible = true;
+    this.hostId = null;
+    this.participantId = null;
+    // { participantId, resumeToken } once we're in the meeting
+    this.session = null;
+    this.password = null;
+    this.token = null;
+    this.roomSettings = {
+      locked: false,
+      lobbyEnabled: false,
+      hasPassword: false,
+      aiEnabled: false,
+      transcriptionEnabled: false,
+      // The assistant's name, persona, model, voice and limits
+      ai: null
+    };
+    this.lobbyCount = 0;
 
-    // AI Assistant state
+    // AI Assistant state; whether it's on is a room setting
     this.aiAvailable = false;
+    this.aiSpeech = false;
+    // What the host may pick from in the assistant's settings
+    this.aiModels = [];
+    this.aiVoices = [];
+    // Replies still streaming in, by message ID: { text, unspoken }
+    this.aiStreams = new Map();
+    // Synthesised sentences waiting to be played, in order
+    this.speechQueue = [];
+    this.speechPlaying = false;
+    this.speechLimitToastAt = 0;
+    // Our outgoing AI voice track, when the server can synthesise speech
+    this.aiVoice = null;
+    // Peers whose browsers are currently playing the AI's voice to the room
+    this.aiSpeakers = new Set();
     this.aiEnabled = false;
     this.aiSpeaking = false;
     this.isListening = false;
     this.recognition = null;
 
+    // Fallback until the server's ICE configuration (with TURN) has loaded
     this.iceServers = {
       iceServers: [
         { urls: 'stun:stun.l.google.com:19302' },
         { urls: 'stun:stun1.l.google.com:19302' }
       ]
     };
+    this.iceRefreshTimer = null;
+
+    // Connection quality of every peer, sampled with getStats()
+    this.statsMonitor = new PeerStatsMonitor({
+      getPeers: () => this.peers,
+      onSample: (userId, sample) => {
+        this.updatePeerStats(userId, sample);
+        this.bitrateController.update(userId, sample);
+      },
+      onReport: (peers) => this.reportStats(peers)
+    });
+
+    // Outgoing video quality per peer, driven by those stats
+    this.bitrateController = new BitrateController({
+      getPeers: () => this.peers,
+      isScreenSharing: () => this.isScreenSharing,
+      onPausedChange: (userId, paused) => this.updateVideoPaused(userId, paused)
+    });
+    this.videoPausedFor = new Set();
+    this.oldestChatId = null;
+    this.handQueue = [];
+
+    // Timer, polls, agenda and notes, kept by the AI assistant's tools
+    this.board = { timer: null, polls: [], agenda: [], notes: [] };
+    this.boardLoaded = false;
+    this.timerInterval = null;
+
+    // Whether we want to see captions, and whether anyone in the room does
+    this.captionsOn = localStorage.getItem('captions') === 'on';
+    this.captionsWanted = false;
+    // Timers that clear each tile's caption after a finished phrase
+    this.captionTimers = new Map();
+
+    // Our share of the meeting transcript while the host has it turned on,
+    // and our captions while anyone wants them
+    this.transcriber = new Transcriber({
+      onSegment: (segment) => {
+        if (this.roomSettings.transcriptionEnabled) {
+          this.socket.emit('transcript-segment', {
+            ...segment,
+            text: segment.text.slice(0, MAX_SEGMENT_LENGTH)
+          });
+        }
+        this.sendCaption(segment.text, true);
+      },
+      onInterim: (text) => this.sendCaption(text, false)
+    });
+
+    this.fileTransfers = new FileTransferManager({
+      onUpdate: (transfer) => this.renderFileTransfer(transfer)
+    });
+
+    // Camera, microphone and speaker, remembered across meetings
+    this.devices = new DeviceManager({
+      onDevicesChange: () => {
+        if (document.getElementById('devices-dialog').open) this.renderDeviceOptions();
+      }
+    });
+    // Set while the device check before joining is open
+    this.resolvePreJoin = null;
 
     this.init();
   }
@@ -46,6 +162,9 @@ class WebConference {
       return;
     }
 
+    this.password = sessionStorage.getItem('roomPassword') || null;
+    this.token = sessionStorage.getItem('joinToken') || null;
+
     // Update UI
     document.getElementById('room-id-display').textContent = this.roomId;
     document.getElementById('local-username').textContent = `${this.username} (You)`;
@@ -53,14 +172,22 @@ class WebConference {
     // Check if AI is available
     await this.checkAIAvailability();
 
+    // STUN/TURN servers must be known before any peer connection is created
+    await this.loadIceConfig();
+
     // Set up event listeners
     this.setupEventListeners();
     this.setupSocketListeners();
 
-    // Get media and join room
+    // Get media, let the user check it, and join room. A reloaded page goes
+    // straight back into the meeting it was in.
     try {
       await this.getLocalMedia();
+      if (!sessionStorage.getItem(this.sessionKey())) {
+        await this.preJoin();
+      }
       this.joinRoom();
+      this.statsMonitor.start();
     } catch (error) {
       console.error('Failed to get media:', error);
       this.showToast('Failed to access camera/microphone', 'error');
@@ -72,16 +199,52 @@ class WebConference {
       const response = await fetch('/api/ai/status');
       const data = await response.json();
       this.aiAvailable = data.available;
+      this.aiSpeech = data.speech;
+      this.aiModels = data.models || [];
+      this.aiVoices = data.voices || [];
+
+      if (this.aiSpeech) {
+        this.aiVoice = new AIVoice({
+          onSpeakingChange: (speaking) => {
+            this.socket.emit('ai-speaking', { speaking });
+            this.updateAISpeaking();
+          }
+        });
+        this.devices.applySpeaker(this.aiVoice.context);
+      }
 
       if (this.aiAvailable) {
-        document.getElementById('toggle-ai').style.display = 'flex';
         this.setupSpeechRecognition();
+        document.getElementById('chat-minutes').hidden = false;
       }
     } catch (error) {
       console.error('Failed to check AI availability:', error);
     }
   }
 
+  async loadIceConfig() {
+    try {
+      // Where invite links are required, so is one of these for TURN
+      const response = await fetch('/api/ice-config', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: this.token, roomId: this.roomId, ...this.session })
+      });
+      if (!response.ok) throw new Error('ICE config request failed');
+
+      const { iceServers, ttl } = await response.json();
+      this.iceServers = { iceServers };
+
+      // TURN credentials expire; fetch new ones before they do
+      clearTimeout(this.iceRefreshTimer);
+      if (ttl) {
+        this.iceRefreshTimer = setTimeout(() => this.loadIceConfig(), ttl * 1000 * 0.8);
+      }
+    } catch (error) {
+      console.error('Failed to load ICE config, using defaults:', error);
+    }
+  }
+
   setupSpeechRecognition() {
     const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
 
@@ -117,11 +280,13 @@ class WebConference {
       // Show interim results in the AI container
       if (interimTranscript) {
         this.showListeningText(interimTranscript);
+        this.sendCaption(interimTranscript, false);
       }
 
       // When we have a final result, send to AI
       if (finalTranscript) {
         this.showListeningText('');
+        this.sendCaption(finalTranscript, true);
         this.handleVoiceInput(finalTranscript);
       }
     };
@@ -142,6 +307,7 @@ class WebConference {
       this.isListening = false;
       this.updateTalkToAIButton();
       this.showListeningText('');
+      this.updateTranscription();
     };
   }
 
@@ -159,6 +325,8 @@ class WebConference {
     if (this.isListening) {
       this.recognition.stop();
     } else {
+      // Only one recognition can listen at a time; transcription resumes afterwards
+      this.transcriber.stop();
       try {
         this.recognition.start();
       } catch (error) {
@@ -167,55 +335,85 @@ class WebConference {
     }
   }
 
-  handleVoiceInput(transcript) {
-    // Add to chat as user message
-    this.addChatMessage(this.username, transcript, new Date().toISOString(), true);
-
-    // Broadcast to other participants
-    this.socket.emit('chat-message', {
-      roomId: this.roomId,
-      message: transcript
-    });
+  // Transcribe our microphone while the room wants a transcript or captions,
+  // except when we're muted, talking to the AI or it is talking
+  updateTranscription() {
+    const enabled = this.roomSettings.transcriptionEnabled;
+    document.getElementById('transcribing').hidden = !enabled;
 
-    // Send to AI (no prefix needed for voice)
-    this.handleAIMessageDirect(transcript, this.username);
+    if ((enabled || this.captionsWanted) && this.isAudioEnabled && !this.isListening && !this.aiSpeaking) {
+      this.transcriber.start();
+    } else {
+      this.transcriber.stop();
+    }
   }
 
-  async handleAIMessageDirect(message, fromUsername) {
-    const contextMessage = `${fromUsername} says: ${message}`;
+  // Our own speech as a caption, for everyone who has captions turned on
+  sendCaption(text, final) {
+    if (!this.captionsWanted) return;
 
-    try {
-      this.showAITyping(true);
+    text = text.slice(-MAX_CAPTION_LENGTH);
+    this.socket.emit('caption', { text, final });
+    this.showCaption(this.participantId, text, final);
+  }
 
-      const response = await fetch('/api/ai/chat', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          message: contextMessage,
-          roomId: this.roomId
-        })
-      });
+  toggleCaptions() {
+    this.captionsOn = !this.captionsOn;
+    localStorage.setItem('captions', this.captionsOn ? 'on' : 'off');
+    this.socket.emit('captions', { enabled: this.captionsOn });
+    this.updateCaptionsButton();
+
+    if (!this.captionsOn) {
+      document.querySelectorAll('.video-caption').forEach(caption => caption.remove());
+    }
+  }
 
-      if (!response.ok) throw new Error('AI request failed');
+  updateCaptionsButton() {
+    const button = document.getElementById('toggle-captions');
+    button.classList.toggle('captions-on', this.captionsOn);
+    button.title = this.captionsOn ? 'Hide Captions' : 'Show Captions';
+  }
 
-      const data = await response.json();
-      const aiResponse = data.response;
+  // Subtitles under a speaker's tile; a finished phrase stays up for a moment
+  showCaption(userId, text, final) {
+    if (!this.captionsOn) return;
 
-      this.addChatMessage('AI Assistant', aiResponse, new Date().toISOString(), false, true);
+    const container = userId === this.participantId
+      ? document.getElementById('local-video-container')
+      : document.getElementById(`video-${userId}`);
+    if (!container) return;
 
-      this.socket.emit('chat-message', {
-        roomId: this.roomId,
-        message: `[AI Assistant]: ${aiResponse}`
-      });
+    clearTimeout(this.captionTimers.get(userId));
+    this.captionTimers.delete(userId);
 
-      await this.playAIResponse(aiResponse);
+    let caption = container.querySelector('.video-caption');
+    if (!text) {
+      if (caption) caption.remove();
+      return;
+    }
 
-    } catch (error) {
-      console.error('AI error:', error);
-      this.showToast('AI failed to respond', 'error');
-    } finally {
-      this.showAITyping(false);
+    if (!caption) {
+      caption = document.createElement('div');
+      caption.className = 'video-caption';
+      container.appendChild(caption);
     }
+    caption.textContent = text;
+    caption.classList.toggle('interim', !final);
+
+    if (final) {
+      this.captionTimers.set(userId, setTimeout(() => {
+        this.captionTimers.delete(userId);
+        caption.remove();
+      }, CAPTION_LINGER_MS));
+    }
+  }
+
+  // Shared as a chat message addressed to the assistant, so it needs no prefix
+  handleVoiceInput(transcript) {
+    this.socket.emit('chat-message', {
+      message: transcript,
+      forAI: true
+    });
   }
 
   showListeningText(text) {
@@ -252,10 +450,7 @@ class WebConference {
 
   async getLocalMedia() {
     try {
-      this.localStream = await navigator.mediaDevices.getUserMedia({
-        video: true,
-        audio: true
-      });
+      this.localStream = await navigator.mediaDevices.getUserMedia(this.devices.constraints());
 
       const localVideo = document.getElementById('local-video');
       localVideo.srcObject = this.localStream;
@@ -265,7 +460,7 @@ class WebConference {
       try {
         this.localStream = await navigator.mediaDevices.getUserMedia({
           video: false,
-          audio: true
+          audio: this.devices.trackConstraints('audioinput')
         });
         this.isVideoEnabled = false;
         this.updateVideoButton();
@@ -276,12 +471,23 @@ class WebConference {
   }
 
   joinRoom() {
+    const session = JSON.parse(sessionStorage.getItem(this.sessionKey()) || 'null');
+
     this.socket.emit('join-room', {
       roomId: this.roomId,
-      username: this.username
+      username: this.username,
+      password: this.password,
+      token: this.token,
+      session,
+      // A reloaded page has lost its peer connections and must rebuild them
+      fresh: !this.participantId
     });
   }
 
+  sessionKey() {
+    return `session:${this.roomId}`;
+  }
+
   setupEventListeners() {
     // Toggle audio
     document.getElementById('toggle-audio').addEventListener('click', () => {
@@ -293,11 +499,75 @@ class WebConference {
       this.toggleVideo();
     });
 
+    // Camera, microphone and speaker
+    document.getElementById('open-devices').addEventListener('click', () => {
+      this.openDevices();
+    });
+
+    document.querySelectorAll('#devices-form select').forEach(select => {
+      select.addEventListener('change', () => this.switchDevice(select.name, select.value));
+    });
+
+    // Before joining these decide how we join; the preview shows the result
+    document.getElementById('join-muted').addEventListener('change', (e) => {
+      if (e.target.checked === this.isAudioEnabled) this.toggleAudio();
+    });
+
+    document.getElementById('join-camera-off').addEventListener('change', (e) => {
+      if (e.target.checked === this.isVideoEnabled) this.toggleVideo();
+    });
+
+    document.getElementById('devices-form').addEventListener('submit', () => {
+      if (this.resolvePreJoin) {
+        this.resolvePreJoin();
+        this.resolvePreJoin = null;
+      }
+    });
+
+    const devicesDialog = document.getElementById('devices-dialog');
+    devicesDialog.addEventListener('cancel', (e) => {
+      // Escape can't skip the device check; joining is the way out
+      if (this.resolvePreJoin) e.preventDefault();
+    });
+
+    devicesDialog.addEventListener('close', () => {
+      this.devices.stopMeter();
+      document.getElementById('device-preview').srcObject = null;
+    });
+
     // Toggle screen share
     document.getElementById('toggle-screen').addEventListener('click', () => {
       this.toggleScreenShare();
     });
 
+    // Raise or lower our hand
+    document.getElementById('raise-hand').addEventListener('click', () => {
+      this.socket.emit(this.isHandRaised(this.participantId) ? 'lower-hand' : 'raise-hand');
+    });
+
+    document.getElementById('clear-hands').addEventListener('click', () => {
+      this.socket.emit('host-clear-hands');
+    });
+
+    // Captions are a personal choice, remembered across meetings
+    document.getElementById('toggle-captions').addEventListener('click', () => {
+      this.toggleCaptions();
+    });
+    this.updateCaptionsButton();
+
+    // Reactions
+    document.getElementById('toggle-reactions').addEventListener('click', () => {
+      const menu = document.getElementById('reaction-menu');
+      menu.hidden = !menu.hidden;
+    });
+
+    document.querySelectorAll('#reaction-menu button').forEach(btn => {
+      btn.addEventListener('click', () => {
+        document.getElementById('reaction-menu').hidden = true;
+        this.socket.emit('reaction', { emoji: btn.dataset.emoji });
+      });
+    });
+
     // Toggle chat
     document.getElementById('toggle-chat').addEventListener('click', () => {
       this.toggleChat();
@@ -308,11 +578,54 @@ class WebConference {
       this.toggleAI();
     });
 
+    // Assistant settings (host only)
+    document.getElementById('ai-settings').addEventListener('click', () => {
+      this.openAISettings();
+    });
+
+    document.getElementById('ai-settings-form').addEventListener('submit', (e) => {
+      // Cancel closes the dialog without saving
+      if (e.submitter && e.submitter.value === 'cancel') return;
+      this.saveAISettings();
+    });
+
     // Leave room
     document.getElementById('leave-room').addEventListener('click', () => {
       this.leaveRoom();
     });
 
+    // Room access settings (host only)
+    document.getElementById('setting-locked').addEventListener('change', (e) => {
+      this.socket.emit('host-update-room', { locked: e.target.checked });
+    });
+
+    document.getElementById('setting-lobby').addEventListener('change', (e) => {
+      this.socket.emit('host-update-room', { lobbyEnabled: e.target.checked });
+    });
+
+    document.getElementById('setting-transcription').addEventListener('change', (e) => {
+      this.socket.emit('host-update-room', { transcriptionEnabled: e.target.checked });
+    });
+
+    document.getElementById('password-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const input = document.getElementById('setting-password');
+      this.socket.emit('host-update-room', { password: input.value });
+      this.showToast(input.value ? 'Meeting password set' : 'Meeting password removed', 'success');
+      input.value = '';
+    });
+
+    document.getElementById('lobby-leave').addEventListener('click', () => {
+      this.leaveRoom();
+    });
+
+    // End meeting for everyone (host only)
+    document.getElementById('end-meeting').addEventListener('click', () => {
+      if (confirm('End the meeting for everyone?')) {
+        this.socket.emit('host-end-meeting');
+      }
+    });
+
     // Copy link
     document.getElementById('copy-link-btn').addEventListener('click', () => {
       this.copyInviteLink();
@@ -324,6 +637,53 @@ class WebConference {
       this.sendChatMessage();
     });
 
+    // Files go to the selected recipient, or to everyone
+    document.getElementById('chat-attach').addEventListener('click', () => {
+      document.getElementById('chat-file').click();
+    });
+
+    document.getElementById('chat-file').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (file) this.sendFile(file);
+    });
+
+    document.getElementById('chat-minutes').addEventListener('click', () => {
+      this.socket.emit('generate-minutes');
+      this.showToast('Writing meeting minutes...');
+    });
+
+    document.getElementById('chat-export').addEventListener('click', () => {
+      this.exportChat();
+    });
+
+    document.getElementById('chat-load-older').addEventListener('click', () => {
+      if (this.oldestChatId) {
+        this.socket.emit('chat-history', { before: this.oldestChatId });
+      }
+    });
+
+    // Edit and delete buttons on your own messages
+    document.getElementById('chat-messages').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-chat-action]');
+      if (!button) return;
+
+      const messageEl = button.closest('.chat-message');
+      const id = messageEl.dataset.messageId;
+
+      if (button.dataset.chatAction === 'edit') {
+        this.editChatMessage(messageEl);
+      } else if (button.dataset.chatAction === 'delete' && confirm('Delete this message?')) {
+        this.socket.emit('chat-delete', { id });
+      }
+    });
+
+    // Network changes (Wi-Fi to Ethernet, VPN on/off) invalidate ICE candidates
+    window.addEventListener('online', () => this.restartAllIce());
+    if (navigator.connection) {
+      navigator.connection.addEventListener('change', () => this.restartAllIce());
+    }
+
     // Tab switching
     document.querySelectorAll('.tab-btn').forEach(btn => {
       btn.addEventListener('click', (e) => {
@@ -333,21 +693,80 @@ class WebConference {
   }
 
   setupSocketListeners() {
+    // The server restarted or our connection dropped: resume our participant
+    // slot; peer connections that are still up carry on untouched
+    this.socket.io.on('reconnect', () => {
+      this.joinRoom();
+    });
+
+    this.socket.on('session', ({ participantId, resumeToken }) => {
+      this.participantId = participantId;
+      // Also proves who we are to the HTTP endpoints
+      this.session = { participantId, resumeToken };
+      sessionStorage.setItem(this.sessionKey(), JSON.stringify(this.session));
+
+      // A fresh slot doesn't know we want captions yet
+      if (this.captionsOn) {
+        this.socket.emit('captions', { enabled: true });
+      }
+
+      // Others only hear about our microphone and camera when they change,
+      // so tell them if we joined with either off
+      if (!this.isAudioEnabled) {
+        this.socket.emit('toggle-audio', { enabled: false });
+      }
+      if (!this.isVideoEnabled) {
+        this.socket.emit('toggle-video', { enabled: false });
+      }
+    });
+
     // Existing users in room
+    // Also sent when we resume, so reconcile with the peers we still have
     this.socket.on('existing-users', (users) => {
+      const ids = new Set(users.map(user => user.id));
+      this.peers.forEach((peer, userId) => {
+        if (!ids.has(userId)) this.removePeer(userId);
+      });
+
       users.forEach(user => {
-        this.createPeerConnection(user.id, user.username, true);
+        // Anyone mid-reconnect will reach out to us when they resume
+        if (!user.connected) {
+          this.addParticipant(user.id, user.username);
+          return;
+        }
+
+        if (!this.peers.has(user.id)) {
+          this.createPeerConnection(user.id, user.username, true);
+        } else if (this.peers.get(user.id).connection.connectionState !== 'connected') {
+          this.restartIce(user.id);
+        }
       });
       this.updateParticipantCount();
     });
 
     // New user joined
+    // The newcomer sends the first offer; the peer connection is made then
     this.socket.on('user-joined', ({ userId, username }) => {
       this.showToast(`${username} joined the meeting`);
-      this.createPeerConnection(userId, username, false);
+      this.addParticipant(userId, username);
       this.updateParticipantCount();
     });
 
+    // Someone's connection dropped; keep their tile while they try to resume
+    this.socket.on('user-reconnecting', ({ userId }) => {
+      this.setPeerReconnecting(userId, true);
+    });
+
+    this.socket.on('user-resumed', ({ userId, fresh }) => {
+      this.setPeerReconnecting(userId, false);
+
+      // They reloaded and lost their side of the connection; they'll send a
+      // new offer, which reuses the same tile
+      if (fresh && this.peers.has(userId)) {
+        this.closePeerConnection(userId);
+      }
+    });
+
     // User left
     this.socket.on('user-left', ({ userId, username }) => {
       this.showToast(`${username} left the meeting`);
@@ -356,19 +775,12 @@ class WebConference {
     });
 
     // WebRTC signaling
-    this.socket.on('offer', async ({ from, username, offer }) => {
-      const peer = this.peers.get(from) || this.createPeerConnection(from, username, false);
-      await peer.connection.setRemoteDescription(new RTCSessionDescription(offer));
-      const answer = await peer.connection.createAnswer();
-      await peer.connection.setLocalDescription(answer);
-      this.socket.emit('answer', { to: from, answer });
+    this.socket.on('offer', ({ from, username, offer }) => {
+      this.handleRemoteDescription(from, username, offer);
     });
 
-    this.socket.on('answer', async ({ from, answer }) => {
-      const peer = this.peers.get(from);
-      if (peer) {
-        await peer.connection.setRemoteDescription(new RTCSessionDescription(answer));
-      }
+    this.socket.on('answer', ({ from, answer }) => {
+      this.handleRemoteDescription(from, null, answer);
     });
 
     this.socket.on('ice-candidate', async ({ from, candidate }) => {
@@ -377,21 +789,104 @@ class WebConference {
         try {
           await peer.connection.addIceCandidate(new RTCIceCandidate(candidate));
         } catch (error) {
-          console.error('Error adding ICE candidate:', error);
+          // Candidates for an offer we deliberately ignored are expected to fail
+          if (!peer.ignoreOffer) {
+            console.error('Error adding ICE candidate:', error);
+          }
         }
       }
     });
 
     // Chat messages
-    this.socket.on('chat-message', ({ userId, username, message, timestamp }) => {
-      this.addChatMessage(username, message, timestamp, userId === this.socket.id);
+    this.socket.on('chat-message', (entry) => {
+      this.renderChatEntry(entry);
+    });
+
+    // The assistant answers once for the room, streaming its reply into the
+    // chat; whoever asked hears it, sentence by sentence as it arrives
+    this.socket.on('ai-message-delta', ({ id, delta, timestamp, requestedBy }) => {
+      if (!this.aiStreams.has(id)) {
+        this.aiStreams.set(id, { text: '', unspoken: '' });
+      }
+      const stream = this.aiStreams.get(id);
+      stream.text += delta;
+
+      // The first piece adds the bubble, later ones rewrite it in place
+      const container = document.getElementById('chat-messages');
+      this.addChatMessage(this.aiName(), stream.text, timestamp, false, true, { id });
+      container.scrollTop = container.scrollHeight;
+
+      if (requestedBy === this.participantId) {
+        this.speakAIStream(stream, delta);
+      }
+    });
+
+    this.socket.on('ai-message', (entry) => {
+      const stream = this.aiStreams.get(entry.id);
+      this.aiStreams.delete(entry.id);
+      this.renderChatEntry(entry);
+
+      if (entry.requestedBy === this.participantId) {
+        if (stream) {
+          this.speakAIStream(stream, '', true);
+        } else {
+          this.playAIResponse(entry.message);
+        }
+      }
+    });
+
+    // Someone else's browser is playing the AI's voice to the room
+    this.socket.on('ai-speaking', ({ userId, speaking }) => {
+      if (speaking) {
+        this.aiSpeakers.add(userId);
+      } else {
+        this.aiSpeakers.delete(userId);
+      }
+      this.updateAISpeaking();
+    });
+
+    this.socket.on('ai-typing', ({ typing }) => {
+      this.showAITyping(typing);
+    });
+
+    // Backlog on join, or an older page asked for with "Load older messages"
+    this.socket.on('chat-history', ({ messages, hasMore, before }) => {
+      const container = document.getElementById('chat-messages');
+
+      if (before) {
+        // Keep the view where it was while older messages go in above it
+        const fromBottom = container.scrollHeight - container.scrollTop;
+        [...messages].reverse().forEach(entry => this.renderChatEntry(entry, { prepend: true }));
+        container.scrollTop = container.scrollHeight - fromBottom;
+      } else {
+        this.mergeChatHistory(messages);
+        container.scrollTop = container.scrollHeight;
+      }
+
+      if (messages.length > 0 || !before) {
+        this.oldestChatId = messages.length > 0 ? messages[0].id : null;
+      }
+      document.getElementById('chat-load-older').hidden = !hasMore;
+    });
 
-      // If AI is enabled and message is not from self, check if it's directed at AI
-      if (this.aiEnabled && userId !== this.socket.id && this.isMessageForAI(message)) {
-        this.handleAIMessage(message, username);
+    this.socket.on('private-message', (entry) => {
+      this.renderChatEntry(entry);
+
+      if (entry.userId !== this.participantId && !this.isChatVisible) {
+        this.showToast(`Private message from ${entry.username}`);
       }
     });
 
+    this.socket.on('chat-message-edited', (entry) => {
+      this.renderChatEntry(entry);
+    });
+
+    this.socket.on('chat-message-deleted', ({ id }) => {
+      this.aiStreams.delete(id);
+      const messageEl = document.getElementById(`chat-${id}`);
+      if (messageEl) messageEl.remove();
+    });
+
     // Media state changes
     this.socket.on('user-toggle-audio', ({ userId, enabled }) => {
       this.updatePeerAudioStatus(userId, enabled);
@@ -400,18 +895,200 @@ class WebConference {
     this.socket.on('user-toggle-video', ({ userId, enabled }) => {
       this.updatePeerVideoStatus(userId, enabled);
     });
+
+    // Host moderation
+    this.socket.on('hand-queue', ({ queue }) => {
+      const raisedBefore = new Set(this.handQueue.map(hand => hand.userId));
+      this.handQueue = queue;
+      this.renderHandQueue();
+
+      // Let the host know when someone new wants to speak
+      const raised = queue.find(hand => !raisedBefore.has(hand.userId));
+      if (raised && this.isHost() && raised.userId !== this.participantId) {
+        this.showToast(`${raised.username} raised their hand`);
+      }
+    });
+
+    this.socket.on('reaction', ({ userId, emoji }) => {
+      this.showReaction(userId, emoji);
+    });
+
+    // Each update carries only the parts of the board that changed
+    this.socket.on('board-updated', (changes) => {
+      const before = this.board;
+      this.board = { ...this.board, ...changes };
+
+      if (this.boardLoaded) {
+        const { timer, polls } = changes;
+        if (timer && (!before.timer || before.timer.id !== timer.id)) {
+          this.showToast(`⏱️ ${timer.label} timer started by ${timer.startedBy}`);
+        }
+        const newPoll = (polls || []).find(poll => !before.polls.some(p => p.id === poll.id));
+        if (newPoll) {
+          this.showToast(`📊 New poll: ${newPoll.question}`);
+        }
+      }
+      this.boardLoaded = true;
+
+      this.renderBoard();
+    });
+
+    this.socket.on('captions-wanted', ({ wanted }) => {
+      this.captionsWanted = wanted;
+      this.updateTranscription();
+    });
+
+    this.socket.on('caption', ({ userId, text, final }) => {
+      this.showCaption(userId, text, final);
+    });
+
+    this.socket.on('host-changed', ({ hostId }) => {
+      const wasHost = this.isHost();
+      this.hostId = hostId;
+      this.updateHostControls();
+
+      if (!wasHost && this.isHost()) {
+        this.showToast('You are now the host');
+      }
+    });
+
+    this.socket.on('force-mute', ({ kind }) => {
+      if (kind === 'audio' && this.isAudioEnabled) {
+        this.toggleAudio();
+        this.showToast('The host muted your microphone');
+      } else if (kind === 'video' && this.isVideoEnabled) {
+        this.toggleVideo();
+        this.showToast('The host turned off your camera');
+      }
+    });
+
+    this.socket.on('removed-from-meeting', ({ by }) => {
+      this.leaveRoom(`You were removed from the meeting by ${by}`);
+    });
+
+    this.socket.on('meeting-ended', ({ by, minutesId }) => {
+      // The landing page offers the minutes once they're written
+      if (minutesId) {
+        sessionStorage.setItem('minutesId', minutesId);
+      }
+      this.leaveRoom(`${by} ended the meeting`);
+    });
+
+    this.socket.on('minutes-ready', ({ url }) => {
+      const link = document.createElement('a');
+      link.href = url;
+      link.click();
+      this.showToast('Meeting minutes downloaded', 'success');
+    });
+
+    // Room access
+    this.socket.on('join-error', ({ message }) => {
+      this.leaveRoom(message, true);
+    });
+
+    this.socket.on('lobby-waiting', () => {
+      document.getElementById('lobby-overlay').hidden = false;
+    });
+
+    this.socket.on('lobby-admitted', () => {
+      document.getElementById('lobby-overlay').hidden = true;
+      this.joinRoom();
+    });
+
+    this.socket.on('lobby-denied', ({ message }) => {
+      this.leaveRoom(message);
+    });
+
+    this.socket.on('lobby-updated', ({ waiting }) => {
+      this.renderLobby(waiting);
+    });
+
+    this.socket.on('room-settings', (settings) => {
+      const wasTranscribing = this.roomSettings.transcriptionEnabled;
+      this.roomSettings = settings;
+      this.setAIEnabled(settings.aiEnabled);
+      this.updateAIName();
+      this.updateHostControls();
+      this.updateTranscription();
+
+      if (settings.transcriptionEnabled !== wasTranscribing) {
+        this.showToast(settings.transcriptionEnabled
+          ? 'This meeting is now being transcribed'
+          : 'Transcription stopped');
+      }
+    });
+
+    this.socket.on('action-error', ({ action, message, reason }) => {
+      // Signaling to someone who has just left is expected, not worth a toast
+      if (reason === 'not-in-room' && SIGNALING_EVENTS.includes(action)) {
+        console.warn(`${action} not delivered: ${message}`);
+        return;
+      }
+      this.showToast(message, 'error');
+    });
   }
 
   createPeerConnection(userId, username, initiator) {
     const connection = new RTCPeerConnection(this.iceServers);
 
-    // Add local tracks
+    // Add local tracks; each addition fires negotiationneeded, which sends the offer
     if (this.localStream) {
       this.localStream.getTracks().forEach(track => {
         connection.addTrack(track, this.localStream);
       });
     }
 
+    // A screen share replacing the camera keeps using the camera's sender
+    if (this.isScreenSharing) {
+      const screenTrack = this.screenStream.getVideoTracks()[0];
+      const sender = connection.getSenders().find(s => s.track && s.track.kind === 'video');
+      if (sender) {
+        sender.replaceTrack(screenTrack);
+      } else {
+        connection.addTrack(screenTrack, this.screenStream);
+      }
+    }
+
+    // Without any media of our own, still ask to receive theirs
+    if (initiator && connection.getSenders().length === 0) {
+      connection.addTransceiver('audio', { direction: 'recvonly' });
+      connection.addTransceiver('video', { direction: 'recvonly' });
+    }
+
+    // Whenever we play the AI's voice, it goes out on this track
+    if (this.aiVoice) {
+      connection.addTrack(this.aiVoice.track, this.aiVoice.stream);
+    }
+
+    // Perfect negotiation: either side may (re)negotiate at any time. On a
+    // collision the polite peer rolls back and the impolite one carries on;
+    // both sides derive the same roles from their participant IDs.
+    const peer = {
+      connection,
+      username,
+      polite: this.participantId < userId,
+      makingOffer: false,
+      ignoreOffer: false,
+      isSettingRemoteAnswerPending: false,
+      remoteStream: new MediaStream(),
+      // The stream their camera and microphone arrive on
+      mediaStreamId: null,
+      restartAttempts: 0,
+      restartTimer: null
+    };
+
+    connection.onnegotiationneeded = async () => {
+      try {
+        peer.makingOffer = true;
+        await connection.setLocalDescription();
+        this.socket.emit('offer', { to: userId, offer: connection.localDescription });
+      } catch (error) {
+        console.error('Error creating offer:', error);
+      } finally {
+        peer.makingOffer = false;
+      }
+    };
+
     // Handle ICE candidates
     connection.onicecandidate = (event) => {
       if (event.candidate) {
@@ -422,26 +1099,53 @@ class WebConference {
       }
     };
 
-    // Handle incoming tracks
-    connection.ontrack = (event) => {
-      this.addRemoteVideo(userId, username, event.streams[0]);
+    // Handle incoming tracks. Collect them in one stream per peer: tracks added
+    // by renegotiation (e.g. a screen share) may come without a stream of their own
+    connection.ontrack = ({ track, streams }) => {
+      // The peer's camera and microphone share one stream; the AI's voice,
+      // which that peer plays to the room, arrives on a stream of its own.
+      // Media elements don't reliably mix more than one audio track per
+      // stream, so the voice gets an element of its own.
+      const streamId = streams[0] && streams[0].id;
+      if (streamId && !peer.mediaStreamId) peer.mediaStreamId = streamId;
+      if (track.kind === 'audio' && streamId && streamId !== peer.mediaStreamId) {
+        const audio = new Audio();
+        audio.srcObject = new MediaStream([track]);
+        peer.voiceAudio = audio;
+        this.devices.applySpeaker(audio);
+        audio.play().catch(error => console.error('Failed to play peer audio:', error));
+        return;
+      }
+
+      peer.remoteStream.addTrack(track);
+      track.addEventListener('ended', () => peer.remoteStream.removeTrack(track));
+      this.addRemoteVideo(userId, username, peer.remoteStream);
     };
 
-    // Handle connection state
+    // Handle connection state. Peers are only removed when the server says
+    // they left; a broken connection is repaired with an ICE restart instead.
     connection.onconnectionstatechange = () => {
-      if (connection.connectionState === 'disconnected' ||
-          connection.connectionState === 'failed') {
-        this.removePeer(userId);
+      const state = connection.connectionState;
+      const current = this.peers.get(userId);
+      if (!current || current.connection !== connection) return;
+
+      clearTimeout(current.restartTimer);
+
+      if (state === 'connected') {
+        current.restartAttempts = 0;
+        this.setPeerReconnecting(userId, false);
+      } else if (state === 'disconnected') {
+        // Often recovers by itself; restart only if it doesn't
+        this.setPeerReconnecting(userId, true);
+        current.restartTimer = setTimeout(() => this.restartIce(userId), ICE_RESTART_DELAY_MS);
+      } else if (state === 'failed') {
+        this.setPeerReconnecting(userId, true);
+        this.restartIce(userId);
       }
     };
 
-    const peer = { connection, username };
     this.peers.set(userId, peer);
-
-    // If initiator, create and send offer
-    if (initiator) {
-      this.createAndSendOffer(userId, connection);
-    }
+    this.fileTransfers.attach(userId, connection);
 
     // Add to participants list
     this.addParticipant(userId, username);
@@ -449,17 +1153,40 @@ class WebConference {
     return peer;
   }
 
-  async createAndSendOffer(userId, connection) {
-    try {
-      const offer = await connection.createOffer();
-      await connection.setLocalDescription(offer);
-      this.socket.emit('offer', { to: userId, offer });
-    } catch (error) {
-      console.error('Error creating offer:', error);
+  async handleRemoteDescription(from, username, description) {
+    let peer = this.peers.get(from);
+    if (!peer) {
+      // Only an offer can start a connection
+      if (description.type !== 'offer') return;
+      peer = this.createPeerConnection(from, username, false);
+      this.updateParticipantCount();
     }
-  }
 
-  addRemoteVideo(userId, username, stream) {
+    const { connection } = peer;
+
+    try {
+      const readyForOffer = !peer.makingOffer &&
+        (connection.signalingState === 'stable' || peer.isSettingRemoteAnswerPending);
+      const offerCollision = description.type === 'offer' && !readyForOffer;
+
+      peer.ignoreOffer = !peer.polite && offerCollision;
+      if (peer.ignoreOffer) return;
+
+      // setRemoteDescription rolls back our own pending offer when we're polite
+      peer.isSettingRemoteAnswerPending = description.type === 'answer';
+      await connection.setRemoteDescription(description);
+      peer.isSettingRemoteAnswerPending = false;
+
+      if (description.type === 'offer') {
+        await connection.setLocalDescription();
+        this.socket.emit('answer', { to: from, answer: connection.localDescription });
+      }
+    } catch (error) {
+      console.error('Error handling session description:', error);
+    }
+  }
+
+  addRemoteVideo(userId, username, stream) {
     // Check if video container already exists
     let container = document.getElementById(`video-${userId}`);
 
@@ -476,7 +1203,14 @@ class WebConference {
           <span class="status-icon" id="mic-${userId}">🎤</span>
           <span class="status-icon" id="cam-${userId}">📷</span>
         </div>
+        <button type="button" class="signal-indicator" id="signal-${userId}" title="Connection quality">
+          <span></span><span></span><span></span><span></span>
+        </button>
       `;
+      container.querySelector('.signal-indicator').addEventListener('click', () => {
+        this.showPeerStats(userId);
+      });
+      this.devices.applySpeaker(container.querySelector('video'));
       document.getElementById('video-grid').appendChild(container);
     }
 
@@ -484,12 +1218,53 @@ class WebConference {
     video.srcObject = stream;
   }
 
-  removePeer(userId) {
+  // Gather fresh ICE candidates after a network change or failure; the
+  // resulting renegotiation goes through onnegotiationneeded like any other
+  restartIce(userId) {
+    const peer = this.peers.get(userId);
+    if (!peer || peer.connection.connectionState === 'closed') return;
+
+    if (peer.restartAttempts >= MAX_ICE_RESTARTS) {
+      console.warn(`Giving up on ICE restarts for ${userId}`);
+      return;
+    }
+
+    peer.restartAttempts++;
+    peer.connection.restartIce();
+  }
+
+  restartAllIce() {
+    this.peers.forEach((peer, userId) => {
+      peer.restartAttempts = 0;
+      this.restartIce(userId);
+    });
+  }
+
+  setPeerReconnecting(userId, reconnecting) {
+    const container = document.getElementById(`video-${userId}`);
+    if (container) {
+      container.classList.toggle('reconnecting', reconnecting);
+    }
+  }
+
+  // Drop the RTCPeerConnection but keep the tile and participant entry, which
+  // the next connection to the same participant reuses
+  closePeerConnection(userId) {
     const peer = this.peers.get(userId);
     if (peer) {
+      clearTimeout(peer.restartTimer);
       peer.connection.close();
       this.peers.delete(userId);
     }
+  }
+
+  removePeer(userId) {
+    this.closePeerConnection(userId);
+
+    // Their browser can no longer be playing the AI's voice
+    if (this.aiSpeakers.delete(userId)) {
+      this.updateAISpeaking();
+    }
 
     // Remove video container
     const container = document.getElementById(`video-${userId}`);
@@ -502,6 +1277,127 @@ class WebConference {
     if (participant) {
       participant.remove();
     }
+
+    // Removing the selected option falls back to messaging everyone
+    const recipient = document.getElementById(`recipient-${userId}`);
+    if (recipient) {
+      recipient.remove();
+    }
+
+    this.fileTransfers.forget(userId);
+
+    // Remove connection stats
+    this.statsMonitor.forget(userId);
+    this.bitrateController.forget(userId);
+    this.updateVideoPaused(userId, false);
+    const stats = document.getElementById(`stats-${userId}`);
+    if (stats) {
+      stats.remove();
+    }
+  }
+
+  // Signal bars on the tile, plus the full numbers in the Stats tab
+  updatePeerStats(userId, sample) {
+    const indicator = document.getElementById(`signal-${userId}`);
+    if (indicator) {
+      indicator.dataset.quality = sample.quality === null ? '' : sample.quality;
+      indicator.title = `Connection quality: ${this.describeQuality(sample.quality)}`;
+    }
+
+    const peer = this.peers.get(userId);
+    if (!peer) return;
+
+    let panel = document.getElementById(`stats-${userId}`);
+    if (!panel) {
+      panel = document.createElement('details');
+      panel.id = `stats-${userId}`;
+      panel.className = 'stats-peer';
+      panel.innerHTML = `
+        <summary>
+          <span class="stats-name">${this.escapeHtml(peer.username)}</span>
+          <span class="stats-quality"></span>
+        </summary>
+        <dl class="stats-values"></dl>
+      `;
+      document.getElementById('stats-list').appendChild(panel);
+    }
+
+    const format = (value, unit, digits = 0) => (value === null || value === undefined
+      ? '–'
+      : `${value.toFixed(digits)}${unit}`);
+
+    const rows = [
+      ['Round trip', format(sample.rtt, ' ms')],
+      ['Packet loss', format(sample.packetLoss, '%', 1)],
+      ['Jitter', format(sample.jitter, ' ms')],
+      ['Receiving', format(sample.inboundBitrate && sample.inboundBitrate / 1000, ' kbps')],
+      ['Sending', format(sample.outboundBitrate && sample.outboundBitrate / 1000, ' kbps')],
+      ['Resolution', sample.width ? `${sample.width}×${sample.height}` : '–'],
+      ['Frame rate', format(sample.frameRate, ' fps')],
+      ['Route', sample.localCandidateType
+        ? `${sample.localCandidateType} → ${sample.remoteCandidateType}`
+        : '–']
+    ];
+
+    panel.querySelector('.stats-quality').textContent = this.describeQuality(sample.quality);
+    panel.querySelector('.stats-values').innerHTML = rows
+      .map(([label, value]) => `<dt>${label}</dt><dd>${this.escapeHtml(value)}</dd>`)
+      .join('');
+  }
+
+  // Tell the user when their video to someone was paused for a bad connection
+  updateVideoPaused(userId, paused) {
+    const wasPaused = this.videoPausedFor.has(userId);
+    if (paused === wasPaused) return;
+
+    if (paused) {
+      this.videoPausedFor.add(userId);
+      const peer = this.peers.get(userId);
+      this.showToast(`Your video to ${peer ? peer.username : 'a participant'} is paused due to a poor connection`, 'error');
+    } else {
+      this.videoPausedFor.delete(userId);
+    }
+
+    const notice = document.getElementById('video-paused-notice');
+    const count = this.videoPausedFor.size;
+    notice.hidden = count === 0;
+    notice.textContent = count === 1
+      ? 'Video paused for 1 participant (poor connection)'
+      : `Video paused for ${count} participants (poor connection)`;
+  }
+
+  describeQuality(quality) {
+    return ['Very poor', 'Poor', 'Fair', 'Good', 'Excellent'][quality] || 'Unknown';
+  }
+
+  showPeerStats(userId) {
+    if (!this.isChatVisible) this.toggleChat();
+    this.switchTab('stats');
+
+    const panel = document.getElementById(`stats-${userId}`);
+    if (panel) {
+      panel.open = true;
+      panel.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  // Send aggregated stats to the server for later analysis
+  reportStats(peers) {
+    if (!this.participantId) return;
+
+    fetch('/api/stats', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        roomId: this.roomId,
+        participantId: this.participantId,
+        peers
+      }),
+      // Lets the final report go out while we navigate away
+      keepalive: true
+    }).catch(error => {
+      console.error('Failed to report stats:', error);
+    });
   }
 
   toggleAudio() {
@@ -511,10 +1407,11 @@ class WebConference {
         this.isAudioEnabled = !this.isAudioEnabled;
         audioTrack.enabled = this.isAudioEnabled;
         this.updateAudioButton();
-        this.socket.emit('toggle-audio', {
-          roomId: this.roomId,
-          enabled: this.isAudioEnabled
-        });
+        this.updateTranscription();
+        // Before joining, the session handler announces it instead
+        if (this.participantId) {
+          this.socket.emit('toggle-audio', { enabled: this.isAudioEnabled });
+        }
       }
     }
   }
@@ -526,10 +1423,9 @@ class WebConference {
         this.isVideoEnabled = !this.isVideoEnabled;
         videoTrack.enabled = this.isVideoEnabled;
         this.updateVideoButton();
-        this.socket.emit('toggle-video', {
-          roomId: this.roomId,
-          enabled: this.isVideoEnabled
-        });
+        if (this.participantId) {
+          this.socket.emit('toggle-video', { enabled: this.isVideoEnabled });
+        }
       }
     }
   }
@@ -550,15 +1446,8 @@ class WebConference {
 
       const screenTrack = this.screenStream.getVideoTracks()[0];
 
-      // Replace video track in all peer connections
-      this.peers.forEach((peer) => {
-        const sender = peer.connection.getSenders().find(s =>
-          s.track && s.track.kind === 'video'
-        );
-        if (sender) {
-          sender.replaceTrack(screenTrack);
-        }
-      });
+      // Send the screen instead of the camera to every peer
+      this.setOutgoingVideo(screenTrack, this.screenStream);
 
       // Update local video
       const localVideo = document.getElementById('local-video');
@@ -581,18 +1470,9 @@ class WebConference {
       this.screenStream.getTracks().forEach(track => track.stop());
     }
 
-    // Replace screen track with camera track
+    // Replace screen track with camera track, or stop sending video without one
     const videoTrack = this.localStream?.getVideoTracks()[0];
-    if (videoTrack) {
-      this.peers.forEach((peer) => {
-        const sender = peer.connection.getSenders().find(s =>
-          s.track && s.track.kind === 'video'
-        );
-        if (sender) {
-          sender.replaceTrack(videoTrack);
-        }
-      });
-    }
+    this.setOutgoingVideo(videoTrack || null, this.localStream);
 
     // Update local video
     const localVideo = document.getElementById('local-video');
@@ -602,6 +1482,180 @@ class WebConference {
     this.updateScreenButton();
   }
 
+  // Send track (or no video at all) to every peer. Swapping one video track for
+  // another needs no negotiation; starting or stopping video where there was
+  // none (e.g. the camera was never granted) changes the transceiver, and
+  // onnegotiationneeded takes care of the rest
+  setOutgoingVideo(track, stream) {
+    this.peers.forEach(({ connection }) => {
+      const transceiver = connection.getTransceivers().find(t =>
+        t.currentDirection !== 'stopped' && t.receiver.track.kind === 'video'
+      );
+
+      if (!transceiver) {
+        if (track) connection.addTrack(track, stream);
+        return;
+      }
+
+      transceiver.sender.replaceTrack(track);
+      transceiver.direction = track ? 'sendrecv' : 'recvonly';
+    });
+  }
+
+  // The device check before joining: resolves when the user is ready
+  preJoin() {
+    return new Promise(resolve => {
+      this.resolvePreJoin = resolve;
+      this.openDevices({ preJoin: true });
+    });
+  }
+
+  async openDevices({ preJoin = false } = {}) {
+    document.getElementById('devices-title').textContent = preJoin ? 'Ready to join?' : 'Devices';
+    document.getElementById('devices-done').textContent = preJoin ? 'Join now' : 'Done';
+    document.getElementById('prejoin-options').hidden = !preJoin;
+    document.getElementById('join-muted').checked = !this.isAudioEnabled;
+    document.getElementById('join-camera-off').checked = !this.isVideoEnabled;
+
+    await this.renderDeviceOptions();
+    this.showDevicePreview();
+
+    const dialog = document.getElementById('devices-dialog');
+    if (!dialog.open) dialog.showModal();
+  }
+
+  // Fill the pickers, selecting the camera and microphone actually in use
+  async renderDeviceOptions() {
+    let devices;
+    try {
+      devices = await this.devices.list();
+    } catch (error) {
+      console.error('Failed to list devices:', error);
+      return;
+    }
+
+    const inUse = (track) => (track ? track.getSettings().deviceId : '');
+    const pickers = [
+      ['videoinput', 'device-camera', 'Camera', inUse(this.localStream?.getVideoTracks()[0])],
+      ['audioinput', 'device-microphone', 'Microphone', inUse(this.localStream?.getAudioTracks()[0])],
+      ['audiooutput', 'device-speaker', 'Speaker', this.devices.chosen('audiooutput')]
+    ];
+
+    pickers.forEach(([kind, id, noun, current]) => {
+      const select = document.getElementById(id);
+      select.innerHTML = '';
+
+      devices[kind].forEach((device, index) => {
+        const option = document.createElement('option');
+        option.value = device.deviceId;
+        // Labels stay empty until the browser has granted media access
+        option.textContent = device.label || `${noun} ${index + 1}`;
+        select.appendChild(option);
+      });
+
+      if (devices[kind].length === 0) {
+        const option = document.createElement('option');
+        option.value = '';
+        option.textContent = `No ${noun.toLowerCase()} found`;
+        select.appendChild(option);
+      }
+
+      select.disabled = devices[kind].length === 0;
+      if (current && devices[kind].some(device => device.deviceId === current)) {
+        select.value = current;
+      }
+    });
+
+    document.getElementById('device-speaker-field').hidden = !this.devices.canPickSpeaker;
+    document.getElementById('join-camera-off').disabled = !this.localStream?.getVideoTracks()[0];
+  }
+
+  showDevicePreview() {
+    document.getElementById('device-preview').srcObject = this.localStream;
+
+    const level = document.getElementById('mic-level');
+    this.devices.startMeter(this.localStream, (value) => {
+      level.style.width = `${Math.round(value * 100)}%`;
+    });
+  }
+
+  // Use another camera or microphone, remembering the choice. The new track
+  // replaces the old one on every peer connection without renegotiating.
+  async switchDevice(kind, deviceId) {
+    this.devices.choose(kind, deviceId);
+
+    if (kind === 'audiooutput') {
+      this.applySpeaker();
+      return;
+    }
+
+    const media = kind === 'videoinput' ? 'video' : 'audio';
+    let track;
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        [media]: this.devices.trackConstraints(kind, { exact: true })
+      });
+      track = stream.getTracks()[0];
+    } catch (error) {
+      console.error(`Failed to switch ${media} device:`, error);
+      this.showToast(`Could not use that ${media === 'video' ? 'camera' : 'microphone'}`, 'error');
+      return;
+    }
+
+    const previous = media === 'video'
+      ? this.localStream.getVideoTracks()[0]
+      : this.localStream.getAudioTracks()[0];
+
+    // Keep whatever muted or camera-off state the old device had
+    track.enabled = media === 'video' ? this.isVideoEnabled : this.isAudioEnabled;
+    if (previous) {
+      this.localStream.removeTrack(previous);
+      previous.stop();
+    }
+    this.localStream.addTrack(track);
+
+    if (media === 'video') {
+      // While the screen is shared it keeps going out; stopping the share
+      // picks up the new camera
+      if (!this.isScreenSharing) {
+        this.setOutgoingVideo(track, this.localStream);
+        document.getElementById('local-video').srcObject = this.localStream;
+      }
+    } else {
+      this.setOutgoingAudio(previous, track);
+    }
+
+    if (document.getElementById('devices-dialog').open) {
+      this.renderDeviceOptions();
+      this.showDevicePreview();
+    }
+  }
+
+  // Send a new microphone track to every peer in place of the old one. The
+  // sender is found by its track, since the AI's voice is audio too.
+  setOutgoingAudio(previous, track) {
+    this.peers.forEach(({ connection }) => {
+      const sender = previous && connection.getSenders().find(s => s.track === previous);
+      if (sender) {
+        sender.replaceTrack(track);
+      } else {
+        connection.addTrack(track, this.localStream);
+      }
+    });
+  }
+
+  // Everything we hear goes to the chosen speaker: peers' tiles, AI voices
+  // played by others, and the AI voice we play ourselves
+  applySpeaker() {
+    document.querySelectorAll('#video-grid video').forEach(video => this.devices.applySpeaker(video));
+    this.peers.forEach(peer => {
+      if (peer.voiceAudio) this.devices.applySpeaker(peer.voiceAudio);
+    });
+    if (this.aiVoice) {
+      this.devices.applySpeaker(this.aiVoice.context);
+    }
+  }
+
   toggleChat() {
     const sidebar = document.getElementById('sidebar');
     this.isChatVisible = !this.isChatVisible;
@@ -609,34 +1663,103 @@ class WebConference {
     sidebar.classList.toggle('visible', this.isChatVisible);
   }
 
-  // AI Assistant methods
+  // AI Assistant methods; the host turns it on or off for the whole room
   toggleAI() {
-    this.aiEnabled = !this.aiEnabled;
-    const btn = document.getElementById('toggle-ai');
-    btn.classList.toggle('active', this.aiEnabled);
+    this.socket.emit('host-update-room', { aiEnabled: !this.aiEnabled });
+  }
+
+  setAIEnabled(enabled) {
+    if (enabled === this.aiEnabled) return;
+
+    this.aiEnabled = enabled;
+    document.getElementById('toggle-ai').classList.toggle('active', enabled);
 
-    if (this.aiEnabled) {
+    if (enabled) {
       this.addAIParticipant();
-      this.showToast('AI Assistant joined the meeting');
+      this.showToast(`${this.aiName()} joined the meeting`);
     } else {
+      this.stopAISpeech();
       this.removeAIParticipant();
-      this.showToast('AI Assistant left the meeting');
+      this.showToast(`${this.aiName()} left the meeting`);
     }
 
     this.updateParticipantCount();
   }
 
+  aiName() {
+    return this.roomSettings.ai ? this.roomSettings.ai.name : 'AI Assistant';
+  }
+
+  // The host may rename the assistant while it's in the meeting
+  updateAIName() {
+    document.querySelectorAll('.ai-name').forEach(el => {
+      el.textContent = this.aiName();
+    });
+  }
+
+  openAISettings() {
+    const ai = this.roomSettings.ai;
+    if (!ai) return;
+
+    const form = document.getElementById('ai-settings-form');
+    form.elements.name.value = ai.name;
+    form.elements.systemPrompt.value = ai.systemPrompt;
+    form.elements.maxTokens.value = ai.maxTokens;
+    form.elements.contextSize.value = ai.contextSize;
+
+    // The first model is the server's default, which an empty value stands for
+    const modelSelect = form.elements.model;
+    modelSelect.innerHTML = '';
+    this.aiModels.forEach((model, index) => {
+      const option = document.createElement('option');
+      option.value = index === 0 ? '' : model;
+      option.textContent = index === 0 ? `${model} (default)` : model;
+      modelSelect.appendChild(option);
+    });
+    modelSelect.value = ai.model || '';
+
+    const voiceSelect = form.elements.voice;
+    voiceSelect.innerHTML = '';
+    this.aiVoices.forEach(voice => {
+      const option = document.createElement('option');
+      option.value = voice;
+      option.textContent = voice;
+      voiceSelect.appendChild(option);
+    });
+    voiceSelect.value = ai.voice;
+    document.getElementById('ai-voice-field').hidden = this.aiVoices.length === 0;
+
+    document.getElementById('ai-settings-dialog').showModal();
+  }
+
+  saveAISettings() {
+    const form = document.getElementById('ai-settings-form');
+    const changes = {
+      name: form.elements.name.value,
+      systemPrompt: form.elements.systemPrompt.value,
+      model: form.elements.model.value || null,
+      maxTokens: Number(form.elements.maxTokens.value),
+      contextSize: Number(form.elements.contextSize.value)
+    };
+    if (this.aiVoices.length > 0) {
+      changes.voice = form.elements.voice.value;
+    }
+
+    this.socket.emit('host-update-ai', changes);
+  }
+
   addAIParticipant() {
     const videoGrid = document.getElementById('video-grid');
+    const name = this.escapeHtml(this.aiName());
 
     // Add AI video container with static image
     const container = document.createElement('div');
     container.id = 'video-ai-assistant';
     container.className = 'video-container ai-participant';
     container.innerHTML = `
-      <img src="/images/ai-avatar.svg" alt="AI Assistant" class="ai-avatar">
+      <img src="/images/ai-avatar.svg" alt="${name}" class="ai-avatar">
       <div class="video-label">
-        <span>AI Assistant</span>
+        <span class="ai-name">${name}</span>
       </div>
       <div class="video-status">
         <span class="status-icon" id="ai-speaking-indicator">🔊</span>
@@ -650,7 +1773,7 @@ class WebConference {
     item.id = 'participant-ai-assistant';
     item.className = 'participant-item';
     item.innerHTML = `
-      <span class="participant-name">AI Assistant</span>
+      <span class="participant-name ai-name">${name}</span>
       <div class="participant-status">
         <span class="status-icon">🤖</span>
       </div>
@@ -689,96 +1812,102 @@ class WebConference {
     }
   }
 
-  isMessageForAI(message) {
-    const lowerMessage = message.toLowerCase();
-    return lowerMessage.startsWith('@ai') ||
-           lowerMessage.startsWith('ai,') ||
-           lowerMessage.startsWith('hey ai') ||
-           lowerMessage.startsWith('ai:');
+  // Hand each complete sentence of a streaming reply to the speech queue;
+  // once the reply is final, whatever is left goes too
+  speakAIStream(stream, delta, final = false) {
+    stream.unspoken += delta;
+
+    let match;
+    while ((match = stream.unspoken.match(SENTENCE_END))) {
+      const end = match.index + match[0].length;
+      this.playAIResponse(stream.unspoken.slice(0, end));
+      stream.unspoken = stream.unspoken.slice(end);
+    }
+
+    if (final) {
+      this.playAIResponse(stream.unspoken);
+      stream.unspoken = '';
+    }
   }
 
-  async handleAIMessage(message, fromUsername) {
-    // Remove the AI trigger prefix
-    let cleanMessage = message
-      .replace(/^@ai\s*/i, '')
-      .replace(/^ai,\s*/i, '')
-      .replace(/^hey ai\s*/i, '')
-      .replace(/^ai:\s*/i, '')
-      .trim();
+  // Synthesis starts straight away, but playback waits its turn
+  playAIResponse(text) {
+    // Some providers (e.g. local models) can only answer in chat
+    if (!this.aiVoice || !text.trim()) return;
 
-    // Add context about who is asking
-    const contextMessage = `${fromUsername} asks: ${cleanMessage}`;
+    this.speechQueue.push(this.synthesizeSpeech(text.trim()));
+    if (!this.speechPlaying) {
+      this.playSpeechQueue();
+    }
+  }
 
+  // Resolves with the encoded audio, or null if synthesis failed
+  async synthesizeSpeech(text) {
     try {
-      // Show typing indicator
-      this.showAITyping(true);
-
-      // Get AI response
-      const response = await fetch('/api/ai/chat', {
+      const response = await fetch('/api/ai/tts', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          message: contextMessage,
-          roomId: this.roomId
-        })
+        body: JSON.stringify({ text, roomId: this.roomId, ...this.session })
       });
 
-      if (!response.ok) throw new Error('AI request failed');
-
-      const data = await response.json();
-      const aiResponse = data.response;
-
-      // Send AI response to chat
-      this.addChatMessage('AI Assistant', aiResponse, new Date().toISOString(), false, true);
-
-      // Broadcast AI response to all participants
-      this.socket.emit('chat-message', {
-        roomId: this.roomId,
-        message: `[AI Assistant]: ${aiResponse}`
-      });
+      // Over a rate limit or the daily quota; one toast covers every sentence
+      // of the reply that gets turned away
+      if (response.status === 429) {
+        const { error } = await response.json();
+        if (Date.now() - this.speechLimitToastAt > SPEECH_LIMIT_TOAST_INTERVAL_MS) {
+          this.speechLimitToastAt = Date.now();
+          this.showToast(error, 'error');
+        }
+        return null;
+      }
 
-      // Generate and play TTS
-      await this.playAIResponse(aiResponse);
+      if (!response.ok) throw new Error('TTS request failed');
 
+      return await response.arrayBuffer();
     } catch (error) {
-      console.error('AI error:', error);
-      this.showToast('AI failed to respond', 'error');
-    } finally {
-      this.showAITyping(false);
+      console.error('TTS error:', error);
+      return null;
     }
   }
 
-  async playAIResponse(text) {
-    try {
-      this.setAISpeaking(true);
+  // Hands each sentence to the voice as soon as it's ready; the voice plays
+  // them back to back
+  async playSpeechQueue() {
+    this.speechPlaying = true;
 
-      const response = await fetch('/api/ai/tts', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ text, voice: 'nova' })
-      });
+    while (this.speechQueue.length > 0) {
+      const audio = await this.speechQueue.shift();
+      // Dropped if the AI was turned off while it was being synthesised
+      if (!audio || !this.aiEnabled) continue;
 
-      if (!response.ok) throw new Error('TTS request failed');
+      try {
+        await this.aiVoice.enqueue(audio);
+      } catch (error) {
+        console.error('Failed to play AI speech:', error);
+      }
+    }
 
-      const audioBlob = await response.blob();
-      const audioUrl = URL.createObjectURL(audioBlob);
-      const audio = new Audio(audioUrl);
+    this.speechPlaying = false;
+  }
 
-      audio.onended = () => {
-        this.setAISpeaking(false);
-        URL.revokeObjectURL(audioUrl);
-      };
+  // Cut off whatever the AI is saying, along with the rest of its reply
+  stopAISpeech() {
+    this.speechQueue = [];
+    if (this.aiVoice) this.aiVoice.stop();
+  }
 
-      audio.onerror = () => {
-        this.setAISpeaking(false);
-        URL.revokeObjectURL(audioUrl);
-      };
+  // The AI is speaking if our browser or anyone else's is playing its voice.
+  // Nobody can talk to it meanwhile, and our transcription pauses so it
+  // doesn't pick the AI up through our microphone.
+  updateAISpeaking() {
+    const speaking = (this.aiVoice && this.aiVoice.speaking) || this.aiSpeakers.size > 0;
+    if (speaking === this.aiSpeaking) return;
 
-      await audio.play();
-    } catch (error) {
-      console.error('TTS error:', error);
-      this.setAISpeaking(false);
+    this.setAISpeaking(speaking);
+    if (speaking && this.isListening) {
+      this.recognition.stop();
     }
+    this.updateTranscription();
   }
 
   setAISpeaking(speaking) {
@@ -802,7 +1931,15 @@ class WebConference {
     }
   }
 
-  leaveRoom() {
+  // An optional notice is shown on the landing page (e.g. when removed by the
+  // host); returnToRoom pre-fills the room so a failed join can be retried
+  async leaveRoom(notice, returnToRoom = false) {
+    // Report what we have before the connections go away
+    this.statsMonitor.flush();
+    this.statsMonitor.stop();
+    this.transcriber.stop();
+    this.stopAISpeech();
+
     // Stop all streams
     if (this.localStream) {
       this.localStream.getTracks().forEach(track => track.stop());
@@ -816,11 +1953,25 @@ class WebConference {
       peer.connection.close();
     });
 
-    // Disconnect socket
+    // Leaving on purpose gives up our participant slot. The last one out of
+    // a transcribed meeting is offered its minutes on the landing page.
+    sessionStorage.removeItem(this.sessionKey());
+    if (this.socket.connected) {
+      try {
+        const { minutesId } = await this.socket.timeout(LEAVE_TIMEOUT_MS).emitWithAck('leave-meeting');
+        if (minutesId) sessionStorage.setItem('minutesId', minutesId);
+      } catch (error) {
+        console.warn('Left without hearing back from the server:', error);
+      }
+    }
     this.socket.disconnect();
 
+    if (notice) {
+      sessionStorage.setItem('notice', notice);
+    }
+
     // Navigate back to home
-    window.location.href = '/';
+    window.location.href = returnToRoom ? `/?room=${encodeURIComponent(this.roomId)}` : '/';
   }
 
   copyInviteLink() {
@@ -834,24 +1985,40 @@ class WebConference {
 
   sendChatMessage() {
     const input = document.getElementById('chat-input');
+    const recipient = document.getElementById('chat-recipient').value;
     const message = input.value.trim();
 
-    if (message) {
-      this.socket.emit('chat-message', {
-        roomId: this.roomId,
-        message
-      });
-
-      // If AI is enabled and message is for AI, handle it
-      if (this.aiEnabled && this.isMessageForAI(message)) {
-        this.handleAIMessage(message, this.username);
-      }
-
+    if (message && recipient) {
+      this.socket.emit('private-message', { to: recipient, message });
+      input.value = '';
+    } else if (message) {
+      this.socket.emit('chat-message', { message });
       input.value = '';
     }
   }
 
-  addChatMessage(username, message, timestamp, isOwn, isAI = false) {
+  // The latest page of history, on joining and again after every resume. Only
+  // entries from the server's history are touched: file transfers and
+  // anything else that lives only here stay where they are. Messages we
+  // missed go in after the one before them, and ones outside the page
+  // (deleted meanwhile, or older pages, which "Load older" fetches again) go.
+  mergeChatHistory(messages) {
+    const ids = new Set(messages.map(entry => entry.id));
+    document.querySelectorAll('#chat-messages .chat-message[data-message-id]').forEach(el => {
+      if (!ids.has(el.dataset.messageId)) el.remove();
+    });
+
+    let previous = null;
+    messages.forEach(entry => {
+      this.renderChatEntry(entry, { after: previous });
+      previous = document.getElementById(`chat-${entry.id}`);
+    });
+  }
+
+  // Messages with an ID come from the server's chat history; rendering one
+  // that is already shown replaces it in place, which is how edits sync.
+  // after places a new one straight after that element (null: at the top).
+  addChatMessage(username, message, timestamp, isOwn, isAI = false, { id = null, editedAt = null, recipient = null, prepend = false, after } = {}) {
     const container = document.getElementById('chat-messages');
     const time = new Date(timestamp).toLocaleTimeString([], {
       hour: '2-digit',
@@ -859,17 +2026,190 @@ class WebConference {
     });
 
     const messageEl = document.createElement('div');
-    messageEl.className = `chat-message${isAI ? ' ai-message' : ''}`;
+    messageEl.className = `chat-message${isAI ? ' ai-message' : ''}${recipient ? ' private-message' : ''}`;
     messageEl.innerHTML = `
       <div class="chat-message-header">
         <span class="chat-username">${isOwn ? 'You' : this.escapeHtml(username)}</span>
+        ${recipient ? `<span class="chat-recipient">→ ${this.escapeHtml(recipient)} (private)</span>` : ''}
         <span class="chat-time">${time}</span>
+        ${editedAt ? '<span class="chat-edited">(edited)</span>' : ''}
+        ${isOwn && id ? `
+          <span class="chat-actions">
+            <button type="button" data-chat-action="edit" title="Edit">Edit</button>
+            <button type="button" data-chat-action="delete" title="Delete">Delete</button>
+          </span>
+        ` : ''}
       </div>
       <div class="chat-text">${this.escapeHtml(message)}</div>
     `;
 
-    container.appendChild(messageEl);
-    container.scrollTop = container.scrollHeight;
+    if (id) {
+      messageEl.id = `chat-${id}`;
+      messageEl.dataset.messageId = id;
+      messageEl.dataset.message = message;
+
+      const existing = document.getElementById(messageEl.id);
+      if (existing) {
+        existing.replaceWith(messageEl);
+        return;
+      }
+    }
+
+    if (after) {
+      after.after(messageEl);
+    } else if (prepend || after === null) {
+      container.prepend(messageEl);
+    } else {
+      container.appendChild(messageEl);
+      container.scrollTop = container.scrollHeight;
+    }
+  }
+
+  renderChatEntry({ id, userId, username, to, toUsername, ai, message, timestamp, editedAt }, options = {}) {
+    let recipient = null;
+    if (to) recipient = to === this.participantId ? 'You' : toUsername;
+
+    this.addChatMessage(username, message, timestamp, userId === this.participantId, !!ai, {
+      id,
+      editedAt,
+      recipient,
+      ...options
+    });
+  }
+
+  async sendFile(file) {
+    const recipient = document.getElementById('chat-recipient').value;
+    const userIds = recipient ? [recipient] : Array.from(this.peers.keys());
+
+    if (userIds.length === 0) {
+      this.showToast('There is nobody to send the file to yet', 'error');
+      return;
+    }
+
+    try {
+      await this.fileTransfers.sendFile(file, userIds);
+    } catch (error) {
+      this.showToast(error.message, 'error');
+    }
+  }
+
+  // One entry in the chat per file and peer, updated as the transfer goes
+  renderFileTransfer({ id, userId, direction, name, size, transferred, status, url, error }) {
+    const container = document.getElementById('chat-messages');
+    const elementId = `file-${direction}-${id}-${userId}`;
+    const peer = this.peers.get(userId);
+    const peerName = this.escapeHtml(peer ? peer.username : 'Participant');
+    const percent = size > 0 ? Math.floor(transferred / size * 100) : 100;
+
+    const statusText = {
+      offered: 'Wants to send you this file',
+      waiting: 'Waiting...',
+      sending: `Sending ${percent}%`,
+      receiving: `Receiving ${percent}%`,
+      verifying: 'Verifying...',
+      interrupted: `Paused at ${percent}%, resumes on reconnect`,
+      done: direction === 'send' ? 'Delivered' : 'Received',
+      failed: `Failed: ${this.escapeHtml(error || 'unknown error')}`
+    }[status];
+
+    let messageEl = document.getElementById(elementId);
+    if (!messageEl) {
+      messageEl = document.createElement('div');
+      messageEl.id = elementId;
+      container.appendChild(messageEl);
+      container.scrollTop = container.scrollHeight;
+    }
+
+    messageEl.className = `chat-message file-transfer file-${status}`;
+    messageEl.innerHTML = `
+      <div class="chat-message-header">
+        <span class="chat-username">${direction === 'send' ? 'You' : peerName}</span>
+        <span class="chat-recipient">→ ${direction === 'send' ? peerName : 'You'}</span>
+      </div>
+      <div class="file-name">📎 ${this.escapeHtml(name)} <span class="file-size">(${this.formatFileSize(size)})</span></div>
+      <progress class="file-progress" max="100" value="${percent}"></progress>
+      <div class="file-status">
+        ${statusText}
+        ${status === 'done' && url ? `<a href="${url}" download="${this.escapeHtml(name)}">Save</a>` : ''}
+      </div>
+      ${status === 'offered' ? `
+        <div class="file-actions">
+          <button type="button" class="btn btn-small btn-admit" data-file-action="accept">Accept</button>
+          <button type="button" class="btn btn-small btn-deny" data-file-action="decline">Decline</button>
+        </div>
+      ` : ''}
+    `;
+
+    // Nothing is received until the user says so
+    messageEl.querySelectorAll('[data-file-action]').forEach(button => {
+      button.addEventListener('click', () => {
+        if (button.dataset.fileAction === 'accept') {
+          this.fileTransfers.accept(userId, id);
+        } else {
+          this.fileTransfers.decline(userId, id);
+        }
+      });
+    });
+  }
+
+  formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  // Download everything we can see in the chat, private messages included
+  exportChat() {
+    this.socket.emit('chat-export', ({ messages }) => {
+      const lines = messages.map(({ username, toUsername, to, message, timestamp, editedAt }) => {
+        const time = new Date(timestamp).toLocaleString();
+        const from = to ? `${username} → ${toUsername} (private)` : username;
+        return `[${time}] ${from}: ${message}${editedAt ? ' (edited)' : ''}`;
+      });
+
+      const transcript = `Chat transcript for meeting ${this.roomId}\n\n${lines.join('\n')}\n`;
+      const url = URL.createObjectURL(new Blob([transcript], { type: 'text/plain' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `chat-${this.roomId}.txt`;
+      link.click();
+      URL.revokeObjectURL(url);
+    });
+  }
+
+  // Swap the message text for an input; Enter saves, Escape cancels
+  editChatMessage(messageEl) {
+    const textEl = messageEl.querySelector('.chat-text');
+    if (textEl.querySelector('input')) return;
+
+    const original = messageEl.dataset.message;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'chat-edit-input';
+    input.value = original;
+
+    const restore = () => {
+      textEl.textContent = original;
+    };
+
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        const message = input.value.trim();
+        if (message && message !== original) {
+          this.socket.emit('chat-edit', { id: messageEl.dataset.messageId, message });
+        } else {
+          restore();
+        }
+      } else if (e.key === 'Escape') {
+        restore();
+      }
+    });
+    input.addEventListener('blur', restore);
+
+    textEl.innerHTML = '';
+    textEl.appendChild(input);
+    input.focus();
   }
 
   addParticipant(userId, username) {
@@ -880,19 +2220,302 @@ class WebConference {
       item.id = `participant-${userId}`;
       item.className = 'participant-item';
       item.innerHTML = `
-        <span class="participant-name">${this.escapeHtml(username)}</span>
+        <span class="participant-name">
+          ${this.escapeHtml(username)}
+          <span class="host-badge">Host</span>
+        </span>
         <div class="participant-status">
+          <span class="status-icon" id="p-hand-${userId}" title="Hand raised"${this.isHandRaised(userId) ? '' : ' hidden'}>✋</span>
           <span class="status-icon" id="p-mic-${userId}">🎤</span>
           <span class="status-icon" id="p-cam-${userId}">📷</span>
+          <details class="participant-menu">
+            <summary title="Host actions">⋯</summary>
+            <div class="participant-menu-items">
+              <button type="button" data-action="mute-audio">Mute microphone</button>
+              <button type="button" data-action="mute-video">Turn off camera</button>
+              <button type="button" data-action="remove">Remove from meeting</button>
+            </div>
+          </details>
+        </div>
+      `;
+
+      item.querySelectorAll('.participant-menu button').forEach(btn => {
+        btn.addEventListener('click', () => {
+          item.querySelector('.participant-menu').open = false;
+          this.moderateParticipant(userId, username, btn.dataset.action);
+        });
+      });
+
+      list.appendChild(item);
+      this.updateHostControls();
+
+      // Also offer them as a private message recipient
+      const option = document.createElement('option');
+      option.id = `recipient-${userId}`;
+      option.value = userId;
+      option.textContent = username;
+      document.getElementById('chat-recipient').appendChild(option);
+    }
+  }
+
+  isHost() {
+    return !!this.hostId && this.hostId === this.participantId;
+  }
+
+  moderateParticipant(userId, username, action) {
+    if (action === 'mute-audio') {
+      this.socket.emit('host-mute', { userId, kind: 'audio' });
+    } else if (action === 'mute-video') {
+      this.socket.emit('host-mute', { userId, kind: 'video' });
+    } else if (action === 'remove' && confirm(`Remove ${username} from the meeting?`)) {
+      this.socket.emit('host-remove', { userId });
+    }
+  }
+
+  isHandRaised(userId) {
+    return this.handQueue.some(hand => hand.userId === userId);
+  }
+
+  // The speaking queue in the participants tab, plus the hand icons and our
+  // own Raise Hand button
+  renderHandQueue() {
+    const section = document.getElementById('hands-section');
+    const list = document.getElementById('hands-list');
+    const isHost = this.isHost();
+
+    list.innerHTML = '';
+    section.hidden = this.handQueue.length === 0;
+    document.getElementById('clear-hands').hidden = !isHost;
+
+    this.handQueue.forEach(({ userId, username }, index) => {
+      const item = document.createElement('li');
+      item.className = 'participant-item';
+      item.innerHTML = `
+        <span class="participant-name">
+          <span class="hands-list-position">${index + 1}.</span>
+          ${userId === this.participantId ? 'You' : this.escapeHtml(username)}
+        </span>
+        ${isHost ? '<button type="button" class="btn btn-small">Lower</button>' : ''}
+      `;
+      if (isHost) {
+        item.querySelector('button').addEventListener('click', () => {
+          this.socket.emit('host-lower-hand', { userId });
+        });
+      }
+      list.appendChild(item);
+    });
+
+    document.querySelectorAll('#participants-list .participant-item').forEach(item => {
+      const userId = item.id.replace('participant-', '');
+      const icon = document.getElementById(`p-hand-${userId}`);
+      if (icon) icon.hidden = !this.isHandRaised(userId);
+    });
+
+    const raised = this.isHandRaised(this.participantId);
+    const button = document.getElementById('raise-hand');
+    button.classList.toggle('raised', raised);
+    button.title = raised ? 'Lower Hand' : 'Raise Hand';
+    button.querySelector('.control-label').textContent = raised ? 'Lower Hand' : 'Raise Hand';
+  }
+
+  // Float an emoji up over the sender's tile
+  showReaction(userId, emoji) {
+    const container = userId === this.participantId
+      ? document.getElementById('local-video-container')
+      : document.getElementById(`video-${userId}`);
+    if (!container) return;
+
+    const reaction = document.createElement('span');
+    reaction.className = 'reaction-float';
+    reaction.textContent = emoji;
+    reaction.style.left = `${10 + Math.random() * 70}%`;
+    reaction.addEventListener('animationend', () => reaction.remove());
+    container.appendChild(reaction);
+  }
+
+  // The Meeting tab, plus the countdown in the header
+  renderBoard() {
+    const { timer, polls, agenda, notes } = this.board;
+
+    document.getElementById('board-timer').hidden = !timer;
+    document.getElementById('board-agenda').hidden = agenda.length === 0;
+    document.getElementById('board-polls').hidden = polls.length === 0;
+    document.getElementById('board-notes').hidden = notes.length === 0;
+    document.getElementById('board-empty').hidden = !!timer || agenda.length + polls.length + notes.length > 0;
+
+    this.renderTimer();
+
+    const current = agenda.find(item => !item.done);
+    const agendaList = document.getElementById('agenda-list');
+    agendaList.innerHTML = '';
+    agenda.forEach(item => {
+      const li = document.createElement('li');
+      li.textContent = item.title;
+      li.classList.toggle('done', item.done);
+      li.classList.toggle('current', item === current);
+      agendaList.appendChild(li);
+    });
+
+    // Newest poll first
+    const pollList = document.getElementById('poll-list');
+    pollList.innerHTML = '';
+    [...polls].reverse().forEach(poll => pollList.appendChild(this.renderPoll(poll)));
+
+    const notesList = document.getElementById('notes-list');
+    notesList.innerHTML = '';
+    notes.forEach(note => {
+      const time = new Date(note.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      const li = document.createElement('li');
+      li.innerHTML = `
+        <span>${this.escapeHtml(note.text)}</span>
+        <span class="board-meta">${this.escapeHtml(note.addedBy)}, ${time}</span>
+      `;
+      notesList.appendChild(li);
+    });
+  }
+
+  renderPoll(poll) {
+    const myVote = poll.votes[this.participantId];
+    const counts = poll.options.map(() => 0);
+    Object.values(poll.votes).forEach(option => counts[option]++);
+    const total = Object.keys(poll.votes).length;
+
+    const el = document.createElement('div');
+    el.className = 'poll';
+    el.innerHTML = `
+      <p class="poll-question">${this.escapeHtml(poll.question)}</p>
+      <p class="board-meta">
+        ${this.escapeHtml(poll.createdBy)} · ${total} vote${total === 1 ? '' : 's'}${poll.closed ? ' · Closed' : ''}
+      </p>
+    `;
+
+    poll.options.forEach((option, index) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'poll-option';
+      button.classList.toggle('voted', myVote === index);
+      button.disabled = poll.closed;
+      // The bar behind each option shows its share of the votes
+      button.style.setProperty('--share', `${total ? counts[index] / total * 100 : 0}%`);
+      button.innerHTML = `<span>${this.escapeHtml(option)}</span><span>${counts[index]}</span>`;
+      button.addEventListener('click', () => {
+        this.socket.emit('poll-vote', { pollId: poll.id, option: index });
+      });
+      el.appendChild(button);
+    });
+
+    return el;
+  }
+
+  renderTimer() {
+    const { timer } = this.board;
+    const badge = document.getElementById('meeting-timer');
+    clearInterval(this.timerInterval);
+    this.timerInterval = null;
+
+    badge.hidden = !timer;
+    if (!timer) return;
+
+    document.getElementById('board-timer-label').textContent = timer.label;
+    const countdown = document.getElementById('board-countdown');
+    const endsAt = Date.parse(timer.endsAt);
+
+    // Only announce the end if we saw the timer running
+    let running = false;
+    const tick = () => {
+      const remaining = Math.max(0, Math.ceil((endsAt - Date.now()) / 1000));
+      const text = `${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')}`;
+      countdown.textContent = text;
+      badge.textContent = `⏱️ ${text}`;
+      badge.title = timer.label;
+      badge.classList.toggle('expired', remaining === 0);
+
+      if (remaining > 0) {
+        running = true;
+        return;
+      }
+
+      clearInterval(this.timerInterval);
+      this.timerInterval = null;
+      if (running) {
+        this.showToast(`⏱️ Time's up: ${timer.label}`);
+      }
+    };
+
+    tick();
+    if (!this.timerInterval && endsAt > Date.now()) {
+      this.timerInterval = setInterval(tick, 1000);
+    }
+  }
+
+  // Show who the host is, and host-only controls if it's us
+  updateHostControls() {
+    const isHost = this.isHost();
+
+    document.getElementById('local-username').textContent =
+      `${this.username} (You${isHost ? ', Host' : ''})`;
+    document.getElementById('end-meeting').style.display = isHost ? 'flex' : 'none';
+    document.getElementById('toggle-ai').style.display = isHost && this.aiAvailable ? 'flex' : 'none';
+    document.getElementById('host-settings').hidden = !isHost;
+    document.getElementById('setting-locked').checked = this.roomSettings.locked;
+    document.getElementById('setting-lobby').checked = this.roomSettings.lobbyEnabled;
+    document.getElementById('setting-transcription').checked = this.roomSettings.transcriptionEnabled;
+    document.getElementById('ai-settings').hidden = !this.aiAvailable;
+    document.getElementById('setting-password').placeholder = this.roomSettings.hasPassword
+      ? 'Change password (empty to remove)'
+      : 'Meeting password';
+    document.getElementById('room-lock').hidden = !this.roomSettings.locked;
+
+    if (!isHost) {
+      document.getElementById('lobby-section').hidden = true;
+    }
+
+    document.querySelectorAll('#participants-list .participant-item').forEach(item => {
+      const userId = item.id.replace('participant-', '');
+      item.classList.toggle('is-host', userId === this.hostId);
+      item.classList.toggle('can-moderate', isHost);
+    });
+
+    // Only the host can lower other people's hands
+    this.renderHandQueue();
+  }
+
+  // Host-only list of people waiting in the lobby
+  renderLobby(waiting) {
+    const section = document.getElementById('lobby-section');
+    const list = document.getElementById('lobby-list');
+
+    list.innerHTML = '';
+    section.hidden = !this.isHost() || waiting.length === 0;
+
+    waiting.forEach(({ id, username }) => {
+      const item = document.createElement('li');
+      item.className = 'participant-item';
+      item.innerHTML = `
+        <span class="participant-name">${this.escapeHtml(username)}</span>
+        <div class="participant-status">
+          <button type="button" class="btn btn-small btn-admit">Admit</button>
+          <button type="button" class="btn btn-small btn-deny">Deny</button>
         </div>
       `;
+      item.querySelector('.btn-admit').addEventListener('click', () => {
+        this.socket.emit('host-admit', { userId: id });
+      });
+      item.querySelector('.btn-deny').addEventListener('click', () => {
+        this.socket.emit('host-deny', { userId: id });
+      });
       list.appendChild(item);
+    });
+
+    if (this.isHost() && waiting.length > this.lobbyCount) {
+      this.showToast(`${waiting[waiting.length - 1].username} is waiting to join`);
     }
+    this.lobbyCount = waiting.length;
   }
 
   updateParticipantCount() {
-    let count = this.peers.size + 1; // +1 for self
-    if (this.aiEnabled) count++; // +1 for AI
+    // Everyone in the list (including the AI) plus ourselves
+    const count = document.getElementById('participants-list').children.length + 1;
     document.getElementById('participant-count').textContent = count;
   }
 
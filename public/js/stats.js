@@ -0,0 +1,209 @@
+// Connection quality monitoring for peer connections
+class PeerStatsMonitor {
+  constructor({ getPeers, onSample, onReport, sampleInterval = 2000, reportInterval = 30000 }) {
+    this.getPeers = getPeers;
+    this.onSample = onSample;
+    this.onReport = onReport;
+    this.sampleInterval = sampleInterval;
+    this.reportInterval = reportInterval;
+
+    // Previous raw counters per peer, for per-second rates
+    this.previous = new Map();
+    // Samples collected since the last report, per peer
+    this.pending = new Map();
+    this.latest = new Map();
+
+    this.sampleTimer = null;
+    this.reportTimer = null;
+  }
+
+  start() {
+    this.stop();
+    this.sampleTimer = setInterval(() => this.sampleAll(), this.sampleInterval);
+    this.reportTimer = setInterval(() => this.flush(), this.reportInterval);
+  }
+
+  stop() {
+    clearInterval(this.sampleTimer);
+    clearInterval(this.reportTimer);
+  }
+
+  forget(userId) {
+    this.previous.delete(userId);
+    this.pending.delete(userId);
+    this.latest.delete(userId);
+  }
+
+  async sampleAll() {
+    const peers = this.getPeers();
+
+    await Promise.all(Array.from(peers.entries()).map(async ([userId, peer]) => {
+      if (peer.connection.connectionState === 'closed') return;
+
+      try {
+        const report = await peer.connection.getStats();
+        const sample = this.summarize(userId, report);
+
+        this.latest.set(userId, sample);
+        if (!this.pending.has(userId)) this.pending.set(userId, []);
+        this.pending.get(userId).push(sample);
+
+        this.onSample(userId, sample);
+      } catch (error) {
+        console.error('Failed to read stats:', error);
+      }
+    }));
+  }
+
+  // Reduce a raw RTCStatsReport to the numbers we care about
+  summarize(userId, report) {
+    const stats = {};
+    report.forEach(entry => { stats[entry.id] = entry; });
+    const entries = Object.values(stats);
+
+    const now = Date.now();
+    const previous = this.previous.get(userId) || {};
+    const seconds = previous.at ? (now - previous.at) / 1000 : 0;
+    const rate = (bytes, before) => (seconds > 0 && before !== undefined
+      ? Math.max(0, ((bytes - before) * 8) / seconds)
+      : null);
+
+    const sample = {
+      timestamp: new Date(now).toISOString(),
+      rtt: null,
+      packetLoss: null,
+      jitter: null,
+      inboundBitrate: null,
+      outboundBitrate: null,
+      width: null,
+      height: null,
+      frameRate: null,
+      localCandidateType: null,
+      remoteCandidateType: null,
+      // What the far end sees of our outgoing media
+      availableOutgoingBitrate: null,
+      remotePacketLoss: null,
+      remoteAudioPacketLoss: null
+    };
+
+    // The candidate pair actually in use tells us the RTT and the route
+    const transport = entries.find(e => e.type === 'transport' && e.selectedCandidatePairId);
+    const pair = transport
+      ? stats[transport.selectedCandidatePairId]
+      : entries.find(e => e.type === 'candidate-pair' && e.nominated && e.state === 'succeeded');
+
+    if (pair) {
+      if (pair.currentRoundTripTime !== undefined) sample.rtt = pair.currentRoundTripTime * 1000;
+      if (pair.availableOutgoingBitrate !== undefined) sample.availableOutgoingBitrate = pair.availableOutgoingBitrate;
+      const local = stats[pair.localCandidateId];
+      const remote = stats[pair.remoteCandidateId];
+      if (local) sample.localCandidateType = local.candidateType;
+      if (remote) sample.remoteCandidateType = remote.candidateType;
+    }
+
+    let packetsLost = 0;
+    let packetsReceived = 0;
+    let bytesReceived = 0;
+    let bytesSent = 0;
+
+    entries.forEach(entry => {
+      if (entry.type === 'inbound-rtp') {
+        packetsLost += entry.packetsLost || 0;
+        packetsReceived += entry.packetsReceived || 0;
+        bytesReceived += entry.bytesReceived || 0;
+
+        if (entry.jitter !== undefined) {
+          sample.jitter = Math.max(sample.jitter || 0, entry.jitter * 1000);
+        }
+
+        if (entry.kind === 'video') {
+          sample.width = entry.frameWidth || sample.width;
+          sample.height = entry.frameHeight || sample.height;
+          sample.frameRate = entry.framesPerSecond || sample.frameRate;
+        }
+      } else if (entry.type === 'outbound-rtp') {
+        bytesSent += entry.bytesSent || 0;
+      } else if (entry.type === 'remote-inbound-rtp') {
+        if (sample.rtt === null && entry.roundTripTime !== undefined) {
+          sample.rtt = entry.roundTripTime * 1000;
+        }
+        if (entry.fractionLost !== undefined) {
+          sample.remotePacketLoss = Math.max(sample.remotePacketLoss || 0, entry.fractionLost * 100);
+          if (entry.kind === 'audio') {
+            sample.remoteAudioPacketLoss = entry.fractionLost * 100;
+          }
+        }
+      }
+    });
+
+    // Loss over the last interval, not since the call started
+    const lostDelta = packetsLost - (previous.packetsLost || 0);
+    const receivedDelta = packetsReceived - (previous.packetsReceived || 0);
+    if (previous.at && lostDelta + receivedDelta > 0) {
+      sample.packetLoss = Math.max(0, (lostDelta / (lostDelta + receivedDelta)) * 100);
+    }
+
+    sample.inboundBitrate = rate(bytesReceived, previous.bytesReceived);
+    sample.outboundBitrate = rate(bytesSent, previous.bytesSent);
+    sample.quality = PeerStatsMonitor.quality(sample);
+
+    this.previous.set(userId, { at: now, packetsLost, packetsReceived, bytesReceived, bytesSent });
+
+    return sample;
+  }
+
+  // 0 (unusable) to 4 (excellent) bars
+  static quality({ rtt, packetLoss, jitter }) {
+    if (rtt === null && packetLoss === null) return null;
+
+    let bars = 4;
+    if (rtt > 150 || packetLoss > 1 || jitter > 30) bars = 3;
+    if (rtt > 300 || packetLoss > 3 || jitter > 50) bars = 2;
+    if (rtt > 500 || packetLoss > 8 || jitter > 100) bars = 1;
+    if (packetLoss > 20) bars = 0;
+    return bars;
+  }
+
+  // Summarize the samples since the last report, one entry per peer
+  flush() {
+    const peers = [];
+
+    this.pending.forEach((samples, peerId) => {
+      if (samples.length === 0) return;
+
+      const values = key => samples.map(s => s[key]).filter(v => v !== null && v !== undefined);
+      const average = key => {
+        const list = values(key);
+        return list.length ? list.reduce((sum, v) => sum + v, 0) / list.length : null;
+      };
+      const max = key => {
+        const list = values(key);
+        return list.length ? Math.max(...list) : null;
+      };
+      const last = samples[samples.length - 1];
+
+      peers.push({
+        peerId,
+        samples: samples.length,
+        rttAvg: average('rtt'),
+        rttMax: max('rtt'),
+        packetLossAvg: average('packetLoss'),
+        packetLossMax: max('packetLoss'),
+        jitterAvg: average('jitter'),
+        inboundBitrateAvg: average('inboundBitrate'),
+        outboundBitrateAvg: average('outboundBitrate'),
+        frameRateAvg: average('frameRate'),
+        width: last.width,
+        height: last.height,
+        localCandidateType: last.localCandidateType,
+        remoteCandidateType: last.remoteCandidateType
+      });
+    });
+
+    this.pending.clear();
+
+    if (peers.length > 0) {
+      this.onReport(peers);
+    }
+  }
+}
@@ -0,0 +1,91 @@
+// Continuous speech recognition of our own microphone, for meeting
+// transcription. Finished phrases come out as timestamped segments; the
+// browser ends recognition after a pause or a network hiccup, so it is
+// restarted for as long as the transcriber is meant to be running.
+class Transcriber {
+  constructor({ onSegment, onInterim = () => {}, lang = 'en-US' }) {
+    this.onSegment = onSegment;
+    this.onInterim = onInterim;
+
+    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    this.supported = !!SpeechRecognition;
+    this.running = false;
+    // When the phrase currently being recognised started
+    this.segmentStartedAt = null;
+    // Whether onInterim was last given text that no final result has replaced
+    this.interimShown = false;
+
+    if (!this.supported) return;
+
+    this.recognition = new SpeechRecognition();
+    this.recognition.continuous = true;
+    this.recognition.interimResults = true;
+    this.recognition.lang = lang;
+
+    this.recognition.onresult = (event) => {
+      let interim = '';
+
+      for (let i = event.resultIndex; i < event.results.length; i++) {
+        const text = event.results[i][0].transcript.trim();
+        if (!text) continue;
+
+        if (!this.segmentStartedAt) {
+          this.segmentStartedAt = new Date().toISOString();
+        }
+
+        if (event.results[i].isFinal) {
+          this.onSegment({
+            text,
+            startedAt: this.segmentStartedAt,
+            endedAt: new Date().toISOString()
+          });
+          this.segmentStartedAt = null;
+        } else {
+          interim += `${text} `;
+        }
+      }
+
+      // A finished phrase takes the interim text's place rather than clearing it
+      this.interimShown = !!interim;
+      if (interim) this.onInterim(interim.trim());
+    };
+
+    this.recognition.onerror = (event) => {
+      // Without permission there's no point in trying again
+      if (event.error === 'not-allowed' || event.error === 'service-not-allowed') {
+        this.running = false;
+      }
+    };
+
+    this.recognition.onend = () => {
+      this.segmentStartedAt = null;
+      if (this.interimShown) {
+        this.interimShown = false;
+        this.onInterim('');
+      }
+      if (this.running) this.startRecognition();
+    };
+  }
+
+  start() {
+    if (!this.supported || this.running) return;
+
+    this.running = true;
+    this.startRecognition();
+  }
+
+  stop() {
+    if (!this.running) return;
+
+    this.running = false;
+    this.recognition.stop();
+  }
+
+  startRecognition() {
+    try {
+      this.recognition.start();
+    } catch (error) {
+      // Already started; onend will bring us back if it stops
+    }
+  }
+}
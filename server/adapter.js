@@ -0,0 +1,24 @@
+const { createClient } = require('redis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+
+// Route Socket.io broadcasts through Redis so rooms, socket-ID relays and
+// fetchSockets() span every server process. Without REDIS_URL the default
+// in-memory adapter is kept and only a single process is supported.
+async function setupAdapter(io, env = process.env) {
+  if (!env.REDIS_URL) {
+    return false;
+  }
+
+  const pubClient = createClient({ url: env.REDIS_URL });
+  const subClient = pubClient.duplicate();
+
+  pubClient.on('error', error => console.error('Redis adapter error:', error));
+  subClient.on('error', error => console.error('Redis adapter error:', error));
+
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+  io.adapter(createAdapter(pubClient, subClient));
+
+  return true;
+}
+
+module.exports = { setupAdapter };
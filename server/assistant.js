@@ -0,0 +1,229 @@
+// The AI assistant is a single participant owned by the server: whichever
+// process receives a message addressed to it makes the one model call, so it
+// answers once per room no matter how many clients are listening.
+
+const ASSISTANT_ID = 'ai-assistant';
+const ASSISTANT_NAME = 'AI Assistant';
+
+const SYSTEM_PROMPT = 'You are a helpful AI assistant participating in a video conference. Keep responses concise and conversational (2-3 sentences max unless asked for more detail). Be friendly and engaging.';
+
+// Text-to-speech voices a host can pick from
+const VOICES = ['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer'];
+
+// What the assistant is like in a room the host hasn't configured. A null
+// model means the provider's own default.
+const DEFAULT_SETTINGS = {
+  name: ASSISTANT_NAME,
+  systemPrompt: SYSTEM_PROMPT,
+  model: null,
+  voice: 'nova',
+  maxTokens: 200,
+  contextSize: 20
+};
+
+const MAX_NAME_LENGTH = 40;
+const MAX_SYSTEM_PROMPT_LENGTH = 4000;
+const MAX_TOKENS_RANGE = [16, 2000];
+// Messages of conversation history sent with each question
+const CONTEXT_SIZE_RANGE = [1, 100];
+
+const MINUTES_PROMPT = 'You write meeting minutes from a transcript and chat log. Reply with JSON only, in the form {"summary": "...", "decisions": ["..."], "actionItems": [{"owner": "...", "task": "..."}]}. The summary is a short paragraph. Give each action item the person who took it on as owner, or "Unassigned" if nobody did.';
+
+// Keep the newest part of a long meeting within the model's context
+const MAX_MINUTES_INPUT = 48000;
+
+// Messages addressed to the assistant start with one of these
+const TRIGGERS = [/^@ai\b[\s,:]*/i, /^hey ai\b[\s,:]*/i, /^ai[,:]\s*/i];
+
+// The question without its trigger, or null if the message isn't for the assistant
+function assistantPrompt(message) {
+  const trigger = TRIGGERS.find(pattern => pattern.test(message));
+  if (!trigger) return null;
+
+  return message.replace(trigger, '').trim() || null;
+}
+
+// The room's assistant settings, with defaults for anything the host left alone
+function assistantSettings(room) {
+  return { ...DEFAULT_SETTINGS, ...room.aiSettings };
+}
+
+// Check settings from a host against what's allowed. Returns the valid
+// changes, or an error message for the first one that isn't; models lists
+// what the host may pick, and null picks the provider's default.
+function validateSettings(changes, { models }) {
+  const valid = {};
+  const { name, systemPrompt, model, voice, maxTokens, contextSize } = changes;
+
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+      return { error: `The name must be 1 to ${MAX_NAME_LENGTH} characters` };
+    }
+    valid.name = name.trim();
+  }
+
+  if (systemPrompt !== undefined) {
+    if (typeof systemPrompt !== 'string' || systemPrompt.length > MAX_SYSTEM_PROMPT_LENGTH) {
+      return { error: `The persona must be at most ${MAX_SYSTEM_PROMPT_LENGTH} characters` };
+    }
+    // Empty goes back to the default persona
+    valid.systemPrompt = systemPrompt.trim() || SYSTEM_PROMPT;
+  }
+
+  if (model !== undefined) {
+    if (model !== null && !models.includes(model)) {
+      return { error: 'That model is not available' };
+    }
+    valid.model = model;
+  }
+
+  if (voice !== undefined) {
+    if (!VOICES.includes(voice)) {
+      return { error: 'Unknown voice' };
+    }
+    valid.voice = voice;
+  }
+
+  if (maxTokens !== undefined) {
+    if (!inRange(maxTokens, MAX_TOKENS_RANGE)) {
+      return { error: `Reply length must be ${MAX_TOKENS_RANGE.join(' to ')} tokens` };
+    }
+    valid.maxTokens = maxTokens;
+  }
+
+  if (contextSize !== undefined) {
+    if (!inRange(contextSize, CONTEXT_SIZE_RANGE)) {
+      return { error: `Context must be ${CONTEXT_SIZE_RANGE.join(' to ')} messages` };
+    }
+    valid.contextSize = contextSize;
+  }
+
+  return { settings: valid };
+}
+
+function inRange(value, [min, max]) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+// A model that keeps calling tools gets cut off after this many rounds
+const MAX_TOOL_ROUNDS = 4;
+
+// Add a message to the room's AI conversation and get the assistant's reply,
+// following the room's assistant settings.
+// onDelta, if given, is called with each piece of the reply as it streams in.
+// With tools, the model may call them first: onToolCall runs each call and
+// resolves with its result, which goes back to the model for the reply.
+async function askAssistant({ llm, store }, roomId, content, {
+  settings = DEFAULT_SETTINGS,
+  onDelta,
+  tools = [],
+  onToolCall
+} = {}) {
+  const history = await store.appendConversation(roomId, { role: 'user', content });
+  const messages = [
+    { role: 'system', content: `${settings.systemPrompt}\n\nYour name in this meeting is ${settings.name}.` },
+    ...history.slice(-settings.contextSize)
+  ];
+
+  let reply = '';
+  for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+    let text = '';
+    const toolCalls = [];
+
+    for await (const piece of llm.chatStream({
+      messages,
+      model: settings.model || undefined,
+      maxTokens: settings.maxTokens,
+      // The last round has to answer in words
+      tools: round < MAX_TOOL_ROUNDS - 1 ? tools : []
+    })) {
+      if (typeof piece === 'string') {
+        // Set off from whatever was said before the tools ran
+        const delta = reply && !text ? ` ${piece}` : piece;
+        text += delta;
+        if (onDelta) onDelta(delta);
+      } else {
+        toolCalls.push(piece.toolCall);
+      }
+    }
+
+    reply += text;
+    if (toolCalls.length === 0) break;
+
+    // Tool calls and their results only live for this question; the stored
+    // conversation keeps the question and the final reply
+    messages.push({
+      role: 'assistant',
+      content: text || null,
+      tool_calls: toolCalls.map(({ id, name, arguments: args }) => ({
+        id,
+        type: 'function',
+        function: { name, arguments: JSON.stringify(args) }
+      }))
+    });
+    for (const call of toolCalls) {
+      messages.push({
+        role: 'tool',
+        tool_call_id: call.id,
+        content: JSON.stringify(await onToolCall(call))
+      });
+    }
+  }
+
+  if (reply) {
+    await store.appendConversation(roomId, { role: 'assistant', content: reply });
+  }
+  return reply;
+}
+
+// Summary, decisions and action items from a meeting's transcript segments
+// and (public) chat messages
+async function generateMinutes({ llm }, { transcript, chat }) {
+  const lines = [
+    ...transcript.map(({ username, text, startedAt }) => ({ at: startedAt, line: `${username} (spoken): ${text}` })),
+    ...chat.map(({ username, message, timestamp }) => ({ at: timestamp, line: `${username} (chat): ${message}` }))
+  ]
+    .sort((a, b) => a.at.localeCompare(b.at))
+    .map(({ at, line }) => `[${at.slice(11, 16)}] ${line}`)
+    .join('\n')
+    .slice(-MAX_MINUTES_INPUT);
+
+  const reply = await llm.chat({
+    messages: [
+      { role: 'system', content: MINUTES_PROMPT },
+      { role: 'user', content: lines }
+    ],
+    maxTokens: 800
+  });
+
+  return parseMinutes(reply);
+}
+
+// Models don't always stick to bare JSON; anything unusable becomes the summary
+function parseMinutes(reply) {
+  try {
+    const parsed = JSON.parse(reply.slice(reply.indexOf('{'), reply.lastIndexOf('}') + 1));
+    return {
+      summary: String(parsed.summary || ''),
+      decisions: Array.isArray(parsed.decisions) ? parsed.decisions.map(String) : [],
+      actionItems: Array.isArray(parsed.actionItems)
+        ? parsed.actionItems.map(item => ({
+          owner: String(item.owner || 'Unassigned'),
+          task: String(item.task || '')
+        })).filter(item => item.task)
+        : []
+    };
+  } catch (error) {
+    return { summary: reply.trim(), decisions: [], actionItems: [] };
+  }
+}
+
+module.exports = {
+  ASSISTANT_ID,
+  VOICES,
+  assistantPrompt,
+  assistantSettings,
+  validateSettings,
+  askAssistant,
+  generateMinutes
+};
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+const DEFAULT_STUN_URLS = ['stun:stun.l.google.com:19302', 'stun:stun1.l.google.com:19302'];
+const DEFAULT_TURN_TTL = 60 * 60;
+
+let warnedAboutTurn = false;
+
+function parseList(value) {
+  return (value || '').split(',').map(url => url.trim()).filter(Boolean);
+}
+
+// Time-limited TURN credentials using coturn's REST API scheme
+// (static-auth-secret / use-auth-secret): the username carries the expiry and
+// the password is an HMAC of it, so coturn can check both without a database
+function createTurnCredentials(secret, ttl, label) {
+  const expiresAt = Math.floor(Date.now() / 1000) + ttl;
+  const username = `${expiresAt}:${label}`;
+  const credential = crypto.createHmac('sha1', secret).update(username).digest('base64');
+  return { username, credential };
+}
+
+// Build the RTCPeerConnection ICE configuration from the environment:
+//   STUN_URLS       - comma-separated STUN URLs (defaults to Google's)
+//   TURN_URLS       - comma-separated TURN/TURNS URLs
+//   TURN_SECRET     - coturn shared secret, for short-lived credentials
+//   TURN_TTL        - lifetime of those credentials in seconds
+//   TURN_USERNAME / TURN_CREDENTIAL - static credentials instead of a secret
+function getIceConfig(env = process.env, label = crypto.randomUUID()) {
+  const ttl = parseInt(env.TURN_TTL, 10) || DEFAULT_TURN_TTL;
+  const stunUrls = env.STUN_URLS !== undefined ? parseList(env.STUN_URLS) : DEFAULT_STUN_URLS;
+  const turnUrls = parseList(env.TURN_URLS);
+
+  const iceServers = stunUrls.map(urls => ({ urls }));
+
+  if (turnUrls.length > 0) {
+    if (env.TURN_SECRET) {
+      iceServers.push({ urls: turnUrls, ...createTurnCredentials(env.TURN_SECRET, ttl, label) });
+    } else if (env.TURN_USERNAME && env.TURN_CREDENTIAL) {
+      iceServers.push({ urls: turnUrls, username: env.TURN_USERNAME, credential: env.TURN_CREDENTIAL });
+    } else if (!warnedAboutTurn) {
+      console.warn('TURN_URLS is set without TURN_SECRET or TURN_USERNAME/TURN_CREDENTIAL; ignoring it');
+      warnedAboutTurn = true;
+    }
+  }
+
+  return { iceServers, ttl };
+}
+
+module.exports = { getIceConfig, createTurnCredentials };
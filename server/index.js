@@ -3,7 +3,29 @@ const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
-const OpenAI = require('openai');
+const crypto = require('crypto');
+const { createRoomStore } = require('./store');
+const { createLLMProvider } = require('./llm');
+const { setupAdapter } = require('./adapter');
+const { hashPassword, verifyPassword } = require('./passwords');
+const { signToken, verifyToken } = require('./tokens');
+const { getIceConfig } = require('./ice');
+const StatsLog = require('./stats');
+const MinutesArchive = require('./minutes');
+const RateLimiter = require('./rate-limit');
+const { createUsageLedger } = require('./usage');
+const SpeechCache = require('./speech-cache');
+const {
+  ASSISTANT_ID,
+  VOICES,
+  assistantPrompt,
+  assistantSettings,
+  validateSettings,
+  askAssistant,
+  generateMinutes
+} = require('./assistant');
+const { MEETING_TOOLS, runMeetingTool } = require('./meeting-tools');
+const { MAX_CHAT_MESSAGE_LENGTH, validateEvent } = require('./socket-schemas');
 
 const app = express();
 const server = http.createServer(app);
@@ -11,99 +33,134 @@ const io = new Server(server, {
   cors: {
     origin: '*',
     methods: ['GET', 'POST']
-  }
+  },
+  // Room for the largest offer; every payload is checked in detail by socket-schemas
+  maxHttpBufferSize: 128 * 1024
 });
 
 const PORT = process.env.PORT || 3000;
 
-// Initialize OpenAI (only if API key is provided)
-let openai = null;
-if (process.env.OPENAI_API_KEY) {
-  openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  console.log('OpenAI API initialized');
+// Signed join tokens: verified whenever AUTH_SECRET is set, and mandatory
+// for every join when AUTH_REQUIRED=true
+const AUTH_SECRET = process.env.AUTH_SECRET || null;
+const AUTH_REQUIRED = process.env.AUTH_REQUIRED === 'true';
+const AUTH_ADMIN_KEY = process.env.AUTH_ADMIN_KEY || null;
+
+// Behind a reverse proxy (TRUST_PROXY=true) the client's address is the first
+// one in X-Forwarded-For, for both HTTP requests and sockets
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+
+if (AUTH_REQUIRED && !AUTH_SECRET) {
+  console.error('AUTH_REQUIRED=true needs AUTH_SECRET to be set');
+  process.exit(1);
+}
+
+// Model behind the AI assistant (null disables it); see server/llm
+const llm = createLLMProvider();
+if (llm) {
+  console.log(`AI assistant using the ${llm.name} provider (${llm.model})`);
 } else {
-  console.log('OpenAI API key not found - AI features disabled');
+  console.log('No LLM provider configured - AI features disabled');
 }
 
+app.set('trust proxy', TRUST_PROXY);
+
 // Serve static files
 app.use(express.static(path.join(__dirname, '../public')));
-app.use(express.json());
+app.use(express.json({ limit: '64kb' }));
 
-// Store rooms and participants
-const rooms = new Map();
+// Rooms, participants and AI conversation history
+const store = createRoomStore();
 
-// Store conversation history per room for context
-const roomConversations = new Map();
+// Connection quality reports sent by clients
+const statsLog = new StatsLog(process.env.STATS_DIR || path.join(__dirname, '../data/stats'));
 
-// AI Chat endpoint
-app.post('/api/ai/chat', async (req, res) => {
-  if (!openai) {
-    return res.status(503).json({ error: 'AI features not available' });
-  }
+// AI-generated meeting minutes, downloadable after the meeting has ended
+const minutesArchive = new MinutesArchive(process.env.MINUTES_DIR || path.join(__dirname, '../data/minutes'));
 
-  const { message, roomId } = req.body;
-
-  if (!message) {
-    return res.status(400).json({ error: 'Message is required' });
-  }
+// Spend controls for the AI: requests per minute from each IP address and in
+// each room, daily quotas for the whole server, and synthesised speech cached
+// on disk so repeated phrases cost nothing
+const aiRateByIp = new RateLimiter({ perMinute: Number(process.env.AI_RATE_PER_IP) || 20 });
+const aiRateByRoom = new RateLimiter({ perMinute: Number(process.env.AI_RATE_PER_ROOM) || 60 });
+const aiUsage = createUsageLedger({
+  requests: Number(process.env.AI_DAILY_REQUESTS) || 2000,
+  speechCharacters: Number(process.env.AI_DAILY_SPEECH_CHARACTERS) || 500000
+});
+const speechCache = new SpeechCache(process.env.TTS_CACHE_DIR || path.join(__dirname, '../data/tts-cache'), {
+  maxBytes: (Number(process.env.TTS_CACHE_MAX_MB) || 500) * 1024 * 1024,
+  maxAgeMs: (Number(process.env.TTS_CACHE_MAX_AGE_DAYS) || 30) * 24 * 60 * 60 * 1000
+});
+const MAX_SPEECH_LENGTH = 1000;
 
-  try {
-    // Get or create conversation history for this room
-    if (!roomConversations.has(roomId)) {
-      roomConversations.set(roomId, []);
-    }
-    const history = roomConversations.get(roomId);
-
-    // Add user message to history
-    history.push({ role: 'user', content: message });
-
-    // Keep only last 20 messages for context
-    const recentHistory = history.slice(-20);
-
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a helpful AI assistant participating in a video conference. Keep responses concise and conversational (2-3 sentences max unless asked for more detail). Be friendly and engaging.'
-        },
-        ...recentHistory
-      ],
-      max_tokens: 200
-    });
+// Clients report connection stats every 30 seconds; this leaves room for
+// several participants behind one address
+const statsRateByIp = new RateLimiter({ perMinute: 30 });
 
-    const aiResponse = completion.choices[0].message.content;
+// How long a dropped participant's slot is kept for them to resume, and how
+// often every room is checked for slots that have expired
+const RESUME_GRACE_MS = 30 * 1000;
+const SWEEP_INTERVAL_MS = 10 * 1000;
 
-    // Add AI response to history
-    history.push({ role: 'assistant', content: aiResponse });
+// Chat backlog is sent in pages of this many messages
+const CHAT_PAGE_SIZE = 50;
 
-    res.json({ response: aiResponse });
-  } catch (error) {
-    console.error('OpenAI API error:', error);
-    res.status(500).json({ error: 'Failed to get AI response' });
-  }
-});
+// Emoji participants can react with, and how often each of them may
+const REACTIONS = ['👍', '👏', '😂', '😮', '❤️', '🎉'];
+const REACTION_INTERVAL_MS = 250;
 
 // AI Text-to-Speech endpoint
 app.post('/api/ai/tts', async (req, res) => {
-  if (!openai) {
-    return res.status(503).json({ error: 'AI features not available' });
+  if (!llm || !llm.supportsSpeech) {
+    return res.status(503).json({ error: 'Speech not available' });
   }
 
-  const { text, voice = 'nova' } = req.body;
+  const { text, roomId, participantId, resumeToken } = req.body;
 
-  if (!text) {
+  if (!text || typeof text !== 'string') {
     return res.status(400).json({ error: 'Text is required' });
   }
 
+  if (text.length > MAX_SPEECH_LENGTH) {
+    return res.status(413).json({ error: `Text must be at most ${MAX_SPEECH_LENGTH} characters` });
+  }
+
+  if (!roomId || typeof roomId !== 'string') {
+    return res.status(400).json({ error: 'Room ID is required' });
+  }
+
   try {
-    const mp3 = await openai.audio.speech.create({
-      model: 'tts-1',
-      voice: voice, // alloy, echo, fable, onyx, nova, shimmer
-      input: text
-    });
+    const room = await store.getRoom(roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    // Only someone in the meeting may spend its limits
+    if (!isSessionOf(room, participantId, resumeToken)) {
+      return res.status(403).json({ error: 'You are not in this meeting' });
+    }
+
+    // Spoken in the voice the room's host picked
+    const { voice } = assistantSettings(room);
 
-    const buffer = Buffer.from(await mp3.arrayBuffer());
+    const refused = aiRateLimit(req.ip, room.id);
+    if (refused) {
+      return sendTooManyRequests(res, refused);
+    }
+
+    // Only speech that has to be synthesised counts against the quota
+    const key = SpeechCache.key({ provider: llm.name, voice, text });
+    let buffer = await speechCache.get(key);
+    if (!buffer) {
+      const overQuota = await aiQuota('speechCharacters', text.length);
+      if (overQuota) {
+        return sendTooManyRequests(res, overQuota);
+      }
+
+      buffer = await llm.speech({ text, voice });
+      await aiUsage.record(room.id, 'speechCharacters', text.length);
+      await speechCache.set(key, buffer);
+    }
 
     res.set({
       'Content-Type': 'audio/mpeg',
@@ -111,124 +168,1219 @@ app.post('/api/ai/tts', async (req, res) => {
     });
     res.send(buffer);
   } catch (error) {
-    console.error('OpenAI TTS error:', error);
+    console.error('AI speech error:', error);
     res.status(500).json({ error: 'Failed to generate speech' });
   }
 });
 
+// STUN/TURN servers for RTCPeerConnection, with fresh TURN credentials. When
+// AUTH_REQUIRED=true only invited users get them, so the TURN server can't be
+// used as an open relay: the caller sends their join token or, once it may
+// have expired, their participant session.
+app.post('/api/ice-config', async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+
+  try {
+    if (AUTH_REQUIRED && !(await mayUseTurn(req.body || {}))) {
+      return res.status(401).json({ error: 'A valid invite link is required' });
+    }
+    res.json(getIceConfig());
+  } catch (error) {
+    console.error('Failed to issue ICE config:', error);
+    res.status(500).json({ error: 'Failed to issue ICE config' });
+  }
+});
+
+// Download meeting minutes as Markdown; 202 while they are still being written
+app.get('/api/minutes/:id', async (req, res) => {
+  try {
+    const record = await minutesArchive.load(req.params.id);
+
+    if (!record) {
+      return res.status(404).json({ error: 'Minutes not found' });
+    }
+    if (record.status === 'pending') {
+      return res.status(202).json({ status: record.status });
+    }
+    if (record.status === 'failed') {
+      return res.status(500).json({ error: 'Failed to generate minutes' });
+    }
+
+    res.set({
+      'Content-Type': 'text/markdown; charset=utf-8',
+      'Content-Disposition': `attachment; filename="minutes-${record.createdAt.slice(0, 10)}.md"`
+    });
+    res.send(MinutesArchive.toMarkdown(record));
+  } catch (error) {
+    console.error('Failed to load minutes:', error);
+    res.status(500).json({ error: 'Failed to load minutes' });
+  }
+});
+
+app.get('/api/minutes/:id/status', async (req, res) => {
+  try {
+    const record = await minutesArchive.load(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Minutes not found' });
+    }
+    res.json({ status: record.status });
+  } catch (error) {
+    console.error('Failed to load minutes:', error);
+    res.status(500).json({ error: 'Failed to load minutes' });
+  }
+});
+
+// Aggregated connection stats from a client, kept for later analysis
+app.post('/api/stats', async (req, res) => {
+  const { ok, retryAfter } = statsRateByIp.take(req.ip);
+  if (!ok) {
+    return sendTooManyRequests(res, { error: 'Too many stats reports', retryAfter });
+  }
+
+  const report = StatsLog.sanitize(req.body);
+
+  if (!report) {
+    return res.status(400).json({ error: 'Invalid stats report' });
+  }
+
+  try {
+    await statsLog.record(report);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Failed to record stats:', error);
+    res.status(500).json({ error: 'Failed to record stats' });
+  }
+});
+
+// Mint a join token (and invite link) for a specific person.
+// Your backend calls this with AUTH_ADMIN_KEY, or signs tokens itself with AUTH_SECRET.
+app.post('/api/tokens', (req, res) => {
+  if (!AUTH_SECRET || !AUTH_ADMIN_KEY) {
+    return res.status(503).json({ error: 'Token issuing is not configured' });
+  }
+
+  if (!isAdmin(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const { userId, name, roomId, role = 'participant', expiresIn } = req.body;
+
+  if (!userId || !name || !roomId) {
+    return res.status(400).json({ error: 'userId, name and roomId are required' });
+  }
+
+  if (role !== 'host' && role !== 'participant') {
+    return res.status(400).json({ error: 'role must be host or participant' });
+  }
+
+  if (expiresIn !== undefined && !(Number.isInteger(expiresIn) && expiresIn > 0)) {
+    return res.status(400).json({ error: 'expiresIn must be a positive number of seconds' });
+  }
+
+  const token = signToken({ sub: userId, name, room: roomId, role }, AUTH_SECRET, expiresIn);
+  const inviteUrl = `${req.protocol}://${req.get('host')}/?room=${encodeURIComponent(roomId)}&token=${token}`;
+
+  res.json({ token, inviteUrl });
+});
+
+// Today's AI usage against the daily quotas; the breakdown by room is only
+// for callers with AUTH_ADMIN_KEY
+app.get('/api/ai/usage', async (req, res) => {
+  try {
+    res.json(await aiUsage.report({ rooms: isAdmin(req) }));
+  } catch (error) {
+    console.error('Failed to report AI usage:', error);
+    res.status(500).json({ error: 'Failed to report AI usage' });
+  }
+});
+
 // Check if AI is available
 app.get('/api/ai/status', (req, res) => {
-  res.json({ available: !!openai });
+  res.json({
+    available: !!llm,
+    speech: !!llm && llm.supportsSpeech,
+    // What a host can choose from in the assistant's settings
+    models: llm ? llm.models : [],
+    voices: llm && llm.supportsSpeech ? VOICES : []
+  });
+});
+
+// Bodies that are too large or not JSON get a JSON error like everything else
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request is too large' });
+  }
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Invalid JSON' });
+  }
+  next(error);
 });
 
 io.on('connection', (socket) => {
   console.log('User connected:', socket.id);
 
-  // Join a room
-  socket.on('join-room', ({ roomId, username }) => {
-    socket.join(roomId);
+  // Drop any event whose payload doesn't match its schema before it reaches
+  // a handler; an acknowledgement callback isn't part of the payload
+  socket.use((packet, next) => {
+    const [event, ...args] = packet;
+    if (typeof args[args.length - 1] === 'function') args.pop();
 
-    if (!rooms.has(roomId)) {
-      rooms.set(roomId, new Map());
+    const error = validateEvent(event, args);
+    if (!error) return next();
+
+    // A client that fails to join has nothing to show, so it must go back
+    if (event === 'join-room') {
+      return socket.emit('join-error', { reason: 'invalid', message: `Could not join the meeting: ${error}` });
     }
+    sendActionError(socket, event, error, 'invalid');
+  });
 
-    const room = rooms.get(roomId);
-    room.set(socket.id, { username, id: socket.id });
+  // Join a room
+  socket.on('join-room', async ({ roomId, username, password, token, session, fresh }) => {
+    try {
+      // One meeting per connection: a second join would leave the socket in
+      // both rooms and keep its first slot alive
+      if (socket.roomId || (socket.lobbyRoomId && socket.lobbyRoomId !== roomId)) {
+        return sendActionError(socket, 'join-room', 'You are already in a meeting');
+      }
 
-    // Notify others in the room
-    socket.to(roomId).emit('user-joined', {
-      userId: socket.id,
-      username
-    });
+      let identity = null;
+      if (AUTH_SECRET && (token || AUTH_REQUIRED)) {
+        identity = verifyToken(token, AUTH_SECRET);
+        if (!identity || identity.room !== roomId) {
+          return socket.emit('join-error', {
+            reason: 'auth',
+            message: token
+              ? 'Your invite link is invalid or has expired.'
+              : 'This meeting requires a personal invite link.'
+          });
+        }
+        // The token, not the client, decides who this is
+        username = identity.name;
+      }
 
-    // Send list of existing users to the new user
-    const existingUsers = [];
-    room.forEach((user, id) => {
-      if (id !== socket.id) {
-        existingUsers.push(user);
+      // Coming back after a dropped connection or a page reload: take the old slot back
+      if (session && await resumeSession(socket, roomId, session, fresh)) {
+        return;
       }
-    });
-    socket.emit('existing-users', existingUsers);
 
-    // Store room info on socket
-    socket.roomId = roomId;
-    socket.username = username;
+      const existing = await store.getRoom(roomId);
+
+      if (existing && !existing.admitted[socket.id]) {
+        if (existing.locked && !(identity && identity.role === 'host')) {
+          return socket.emit('join-error', {
+            reason: 'locked',
+            message: 'This meeting is locked. Ask the host to unlock it.'
+          });
+        }
+
+        // A personal invite already says who may join, so skip the password and lobby
+        if (!identity && !verifyPassword(password, existing.passwordHash)) {
+          return socket.emit('join-error', {
+            reason: 'password',
+            message: password ? 'Incorrect meeting password.' : 'This meeting requires a password.'
+          });
+        }
 
-    console.log(`${username} joined room ${roomId}`);
+        if (!identity && existing.lobbyEnabled) {
+          return await enterLobby(socket, roomId, username);
+        }
+      }
+
+      await enterRoom(socket, roomId, username, existing ? null : password, identity);
+    } catch (error) {
+      console.error('Failed to join room:', error);
+    }
   });
 
-  // WebRTC signaling
+  // WebRTC signaling, only ever between participants of the same room
   socket.on('offer', ({ to, offer }) => {
-    socket.to(to).emit('offer', {
-      from: socket.id,
-      username: socket.username,
-      offer
-    });
+    relaySignal(socket, 'offer', to, { username: socket.username, offer });
   });
 
   socket.on('answer', ({ to, answer }) => {
-    socket.to(to).emit('answer', {
-      from: socket.id,
-      answer
-    });
+    relaySignal(socket, 'answer', to, { answer });
   });
 
   socket.on('ice-candidate', ({ to, candidate }) => {
-    socket.to(to).emit('ice-candidate', {
-      from: socket.id,
-      candidate
-    });
+    relaySignal(socket, 'ice-candidate', to, { candidate });
   });
 
-  // Chat message
-  socket.on('chat-message', ({ roomId, message }) => {
-    io.to(roomId).emit('chat-message', {
-      userId: socket.id,
-      username: socket.username,
-      message,
-      timestamp: new Date().toISOString()
-    });
+  // Chat message; stored so late joiners get the backlog. forAI marks speech
+  // addressed to the assistant, which needs no "@ai" prefix.
+  socket.on('chat-message', async ({ message, forAI }) => {
+    try {
+      if (!socket.roomId) return;
+
+      const text = chatText(message);
+      if (!text) return sendActionError(socket, 'chat-message', 'Messages must be 1-2000 characters');
+
+      const entry = await store.addChatMessage(socket.roomId, {
+        id: crypto.randomUUID(),
+        userId: socket.participantId,
+        username: socket.username,
+        message: text,
+        timestamp: new Date().toISOString()
+      });
+
+      if (!entry) return;
+      io.to(socket.roomId).emit('chat-message', entry);
+
+      const prompt = forAI === true ? text : assistantPrompt(text);
+      if (prompt) {
+        await respondAsAssistant(socket, prompt);
+      }
+    } catch (error) {
+      console.error('Failed to store chat message:', error);
+      sendActionError(socket, 'chat-message', 'Could not send message');
+    }
+  });
+
+  // Direct message to one participant of the same room
+  socket.on('private-message', async ({ to, message }) => {
+    try {
+      if (!socket.roomId) return;
+
+      const text = chatText(message);
+      if (!text) return sendActionError(socket, 'private-message', 'Messages must be 1-2000 characters');
+
+      const room = await store.getRoom(socket.roomId);
+      if (!room || !requireParticipant(socket, room, to, 'private-message')) return;
+
+      const entry = await store.addChatMessage(socket.roomId, {
+        id: crypto.randomUUID(),
+        userId: socket.participantId,
+        username: socket.username,
+        to,
+        toUsername: room.participants[to].username,
+        message: text,
+        timestamp: new Date().toISOString()
+      });
+
+      if (entry) emitChatUpdate(socket.roomId, 'private-message', entry);
+    } catch (error) {
+      console.error('Failed to send private message:', error);
+      sendActionError(socket, 'private-message', 'Could not send message');
+    }
+  });
+
+  socket.on('chat-edit', async ({ id, message }) => {
+    try {
+      if (!socket.roomId) return;
+
+      const text = chatText(message);
+      if (!text) return sendActionError(socket, 'chat-edit', 'Messages must be 1-2000 characters');
+
+      const entry = await store.editChatMessage(socket.roomId, id, socket.participantId, text);
+      if (!entry) return sendActionError(socket, 'chat-edit', 'You can only edit your own messages');
+
+      emitChatUpdate(socket.roomId, 'chat-message-edited', entry);
+    } catch (error) {
+      console.error('Failed to edit chat message:', error);
+      sendActionError(socket, 'chat-edit', 'Could not edit message');
+    }
+  });
+
+  socket.on('chat-delete', async ({ id }) => {
+    try {
+      if (!socket.roomId) return;
+
+      const entry = await store.deleteChatMessage(socket.roomId, id, socket.participantId);
+      if (!entry) return sendActionError(socket, 'chat-delete', 'You can only delete your own messages');
+
+      emitChatUpdate(socket.roomId, 'chat-message-deleted', entry, { id });
+    } catch (error) {
+      console.error('Failed to delete chat message:', error);
+      sendActionError(socket, 'chat-delete', 'Could not delete message');
+    }
+  });
+
+  // Older pages of the backlog, before the oldest message the client has
+  socket.on('chat-history', async ({ before }) => {
+    try {
+      if (!socket.roomId) return;
+
+      const page = await store.getChatHistory(socket.roomId, {
+        viewerId: socket.participantId,
+        before,
+        limit: CHAT_PAGE_SIZE
+      });
+      socket.emit('chat-history', { ...page, before });
+    } catch (error) {
+      console.error('Failed to load chat history:', error);
+      sendActionError(socket, 'chat-history', 'Could not load older messages');
+    }
+  });
+
+  // The whole history this participant can see, for a transcript download
+  socket.on('chat-export', async (callback) => {
+    try {
+      if (!socket.roomId || typeof callback !== 'function') return;
+
+      const { messages } = await store.getChatHistory(socket.roomId, {
+        viewerId: socket.participantId,
+        limit: Infinity
+      });
+      callback({ messages });
+    } catch (error) {
+      console.error('Failed to export chat:', error);
+      sendActionError(socket, 'chat-export', 'Could not export the chat');
+    }
   });
 
   // Media state changes
-  socket.on('toggle-audio', ({ roomId, enabled }) => {
-    socket.to(roomId).emit('user-toggle-audio', {
-      userId: socket.id,
+  socket.on('toggle-audio', ({ enabled }) => {
+    if (!socket.roomId) return;
+
+    socket.to(socket.roomId).emit('user-toggle-audio', {
+      userId: socket.participantId,
       enabled
     });
   });
 
-  socket.on('toggle-video', ({ roomId, enabled }) => {
-    socket.to(roomId).emit('user-toggle-video', {
-      userId: socket.id,
+  socket.on('toggle-video', ({ enabled }) => {
+    if (!socket.roomId) return;
+
+    socket.to(socket.roomId).emit('user-toggle-video', {
+      userId: socket.participantId,
       enabled
     });
   });
 
-  // Handle disconnect
-  socket.on('disconnect', () => {
-    if (socket.roomId) {
-      const room = rooms.get(socket.roomId);
-      if (room) {
-        room.delete(socket.id);
-        if (room.size === 0) {
-          rooms.delete(socket.roomId);
-          // Clean up conversation history when room is empty
-          roomConversations.delete(socket.roomId);
+  // Meeting transcription: each client transcribes its own microphone
+  socket.on('transcript-segment', async ({ text, startedAt, endedAt }) => {
+    try {
+      if (!socket.roomId) return;
+
+      const clean = text.trim();
+      if (!clean) return;
+
+      await store.addTranscriptSegment(socket.roomId, {
+        id: crypto.randomUUID(),
+        userId: socket.participantId,
+        username: socket.username,
+        text: clean,
+        startedAt: validTimestamp(startedAt),
+        endedAt: validTimestamp(endedAt)
+      });
+    } catch (error) {
+      console.error('Failed to store transcript segment:', error);
+    }
+  });
+
+  // Live captions: each client captions its own microphone while anyone in
+  // the room has captions turned on
+  socket.on('captions', async ({ enabled }) => {
+    try {
+      if (!socket.roomId) return;
+
+      const room = await store.setCaptions(socket.roomId, socket.participantId, enabled);
+      if (room) sendCaptionsWanted(room);
+    } catch (error) {
+      console.error('Failed to update captions:', error);
+    }
+  });
+
+  // Interim results replace each other until a final one ends the phrase;
+  // empty text clears the caption
+  socket.on('caption', ({ text, final }) => {
+    if (!socket.roomId) return;
+
+    socket.to(socket.roomId).emit('caption', {
+      userId: socket.participantId,
+      text: text.trim(),
+      final: final === true
+    });
+  });
+
+  // Minutes of the meeting so far, from the transcript and chat
+  socket.on('generate-minutes', async () => {
+    try {
+      if (!socket.roomId) return;
+      if (!llm) return sendActionError(socket, 'generate-minutes', 'AI features are not available');
+
+      const room = await store.getRoom(socket.roomId);
+      if (!room) return;
+
+      const refused = aiRateLimit(socketIp(socket), room.id) || await aiQuota('requests');
+      if (refused) return sendActionError(socket, 'generate-minutes', refused.error);
+
+      const record = await archiveMinutes(room);
+      await completeMinutes(record);
+
+      if (record.status === 'ready') {
+        socket.emit('minutes-ready', { id: record.id, url: `/api/minutes/${record.id}` });
+      } else {
+        sendActionError(socket, 'generate-minutes', 'Failed to generate minutes');
+      }
+    } catch (error) {
+      console.error('Failed to generate minutes:', error);
+      sendActionError(socket, 'generate-minutes', 'Failed to generate minutes');
+    }
+  });
+
+  // Raised hands and reactions
+  socket.on('raise-hand', async () => {
+    try {
+      if (!socket.roomId) return;
+
+      const room = await store.raiseHand(socket.roomId, socket.participantId);
+      if (room) sendHandQueue(room);
+    } catch (error) {
+      console.error('Failed to raise hand:', error);
+    }
+  });
+
+  socket.on('lower-hand', async () => {
+    try {
+      if (!socket.roomId) return;
+
+      const room = await store.lowerHand(socket.roomId, socket.participantId);
+      if (room) sendHandQueue(room);
+    } catch (error) {
+      console.error('Failed to lower hand:', error);
+    }
+  });
+
+  socket.on('host-lower-hand', async ({ userId }) => {
+    try {
+      const host = await requireHost(socket, 'host-lower-hand');
+      if (!host) return;
+
+      const room = await store.lowerHand(host.id, userId);
+      if (room) sendHandQueue(room);
+    } catch (error) {
+      console.error('Failed to lower hand:', error);
+    }
+  });
+
+  socket.on('host-clear-hands', async () => {
+    try {
+      const host = await requireHost(socket, 'host-clear-hands');
+      if (!host) return;
+
+      const room = await store.clearHands(host.id);
+      if (room) sendHandQueue(room);
+    } catch (error) {
+      console.error('Failed to clear hands:', error);
+    }
+  });
+
+  // The asker's browser plays the AI's reply into the room as an audio
+  // track; the others only need to know when, to show it speaking
+  socket.on('ai-speaking', ({ speaking }) => {
+    if (!socket.roomId) return;
+
+    socket.to(socket.roomId).emit('ai-speaking', { userId: socket.participantId, speaking });
+  });
+
+  // Polls are put to the room by the AI assistant; everyone votes here
+  socket.on('poll-vote', async ({ pollId, option }) => {
+    try {
+      if (!socket.roomId) return;
+
+      const room = await store.votePoll(socket.roomId, pollId, socket.participantId, option);
+      if (!room) {
+        return sendActionError(socket, 'poll-vote', 'That poll is closed or has no such option');
+      }
+      sendBoard(room, 'polls');
+    } catch (error) {
+      console.error('Failed to record vote:', error);
+    }
+  });
+
+  // Reactions are fire-and-forget, so they aren't stored
+  socket.on('reaction', ({ emoji }) => {
+    if (!socket.roomId || !REACTIONS.includes(emoji)) return;
+
+    const now = Date.now();
+    if (now - (socket.lastReactionAt || 0) < REACTION_INTERVAL_MS) return;
+    socket.lastReactionAt = now;
+
+    io.to(socket.roomId).emit('reaction', { userId: socket.participantId, emoji });
+  });
+
+  // Host moderation
+  socket.on('host-mute', async ({ userId, kind }) => {
+    try {
+      const room = await requireHost(socket, 'host-mute');
+      if (!room || !requireParticipant(socket, room, userId, 'host-mute')) return;
+
+      io.to(participantChannel(room.id, userId)).emit('force-mute', { kind });
+    } catch (error) {
+      console.error('Failed to mute participant:', error);
+    }
+  });
+
+  socket.on('host-remove', async ({ userId }) => {
+    try {
+      const room = await requireHost(socket, 'host-remove');
+      if (!room || !requireParticipant(socket, room, userId, 'host-remove')) return;
+
+      io.to(participantChannel(room.id, userId)).emit('removed-from-meeting', { by: socket.username });
+      io.in(participantChannel(room.id, userId)).disconnectSockets(true);
+    } catch (error) {
+      console.error('Failed to remove participant:', error);
+    }
+  });
+
+  socket.on('host-end-meeting', async () => {
+    try {
+      const room = await requireHost(socket, 'host-end-meeting');
+      if (!room) return;
+
+      // Minutes are written after everyone has gone, so hand out the link now
+      const hasContent = room.transcript.length > 0 || room.chat.some(message => !message.to);
+      const minutesId = hasContent ? await startMinutes(room) : null;
+
+      io.to(room.id).emit('meeting-ended', { by: socket.username, minutesId });
+      await store.deleteRoom(room.id);
+      io.in(room.id).disconnectSockets(true);
+      closeLobby(room.id);
+
+      console.log(`${socket.username} ended the meeting in room ${room.id}`);
+    } catch (error) {
+      console.error('Failed to end meeting:', error);
+    }
+  });
+
+  // Room access settings
+  socket.on('host-update-room', async ({ locked, lobbyEnabled, password, aiEnabled, transcriptionEnabled }) => {
+    try {
+      const host = await requireHost(socket, 'host-update-room');
+      if (!host) return;
+
+      if (aiEnabled === true && !llm) {
+        return sendActionError(socket, 'host-update-room', 'AI features are not available');
+      }
+
+      const room = await store.updateRoom(host.id, (room) => {
+        if (typeof locked === 'boolean') room.locked = locked;
+        if (typeof lobbyEnabled === 'boolean') room.lobbyEnabled = lobbyEnabled;
+        if (typeof aiEnabled === 'boolean') room.aiEnabled = aiEnabled;
+        if (typeof transcriptionEnabled === 'boolean') room.transcriptionEnabled = transcriptionEnabled;
+        if (typeof password === 'string') {
+          room.passwordHash = password ? hashPassword(password) : null;
         }
+      }, { create: false });
+      if (!room) return;
+
+      io.to(room.id).emit('room-settings', roomSettings(room));
+
+      // Turning the lobby off lets everyone who was waiting in
+      if (!room.lobbyEnabled) {
+        const waiting = await io.in(lobbyChannel(room.id)).fetchSockets();
+        await Promise.all(waiting.map(s => admitFromLobby(room.id, s.id)));
       }
+    } catch (error) {
+      console.error('Failed to update room settings:', error);
+    }
+  });
+
+  // The assistant's name, persona, model, voice and limits in this room
+  socket.on('host-update-ai', async (changes) => {
+    try {
+      const host = await requireHost(socket, 'host-update-ai');
+      if (!host) return;
+
+      if (!llm) {
+        return sendActionError(socket, 'host-update-ai', 'AI features are not available');
+      }
+
+      const { settings, error } = validateSettings(changes, { models: llm.models });
+      if (error) {
+        return sendActionError(socket, 'host-update-ai', error);
+      }
+
+      const room = await store.updateRoom(host.id, (room) => {
+        room.aiSettings = { ...room.aiSettings, ...settings };
+      }, { create: false });
+      if (room) io.to(room.id).emit('room-settings', roomSettings(room));
+    } catch (error) {
+      console.error('Failed to update AI settings:', error);
+    }
+  });
 
-      socket.to(socket.roomId).emit('user-left', {
-        userId: socket.id,
-        username: socket.username
+  socket.on('host-admit', async ({ userId }) => {
+    try {
+      const room = await requireHost(socket, 'host-admit');
+      if (!room || !(await requireWaiting(socket, room, userId, 'host-admit'))) return;
+
+      await admitFromLobby(room.id, userId);
+      await sendLobby(room.id);
+    } catch (error) {
+      console.error('Failed to admit participant:', error);
+    }
+  });
+
+  socket.on('host-deny', async ({ userId }) => {
+    try {
+      const room = await requireHost(socket, 'host-deny');
+      if (!room || !(await requireWaiting(socket, room, userId, 'host-deny'))) return;
+
+      io.to(userId).emit('lobby-denied', { message: 'The host declined your request to join.' });
+      io.in(userId).disconnectSockets(true);
+    } catch (error) {
+      console.error('Failed to deny participant:', error);
+    }
+  });
+
+  // Leaving on purpose, answered through the acknowledgement callback with
+  // the ID of the meeting's minutes if this was the last one out
+  socket.on('leave-meeting', async (callback) => {
+    let minutesId = null;
+    try {
+      if (socket.roomId) minutesId = await leaveMeeting(socket);
+    } catch (error) {
+      console.error('Failed to leave room:', error);
+    }
+    if (typeof callback === 'function') callback({ minutesId });
+  });
+
+  // Handle disconnect
+  // Leaving on purpose (or being removed) frees the slot straight away; a
+  // dropped connection keeps it for RESUME_GRACE_MS so the client can resume
+  socket.on('disconnect', async (reason) => {
+    if (socket.lobbyRoomId) {
+      // Left the lobby without being let in; refresh the host's waiting list
+      sendLobby(socket.lobbyRoomId).catch(error => {
+        console.error('Failed to update lobby:', error);
       });
+    }
 
-      console.log(`${socket.username} left room ${socket.roomId}`);
+    if (socket.roomId) {
+      const deliberate = reason === 'client namespace disconnect' || reason === 'server namespace disconnect';
+
+      try {
+        if (deliberate) {
+          await leaveMeeting(socket);
+        } else if (await store.markDisconnected(socket.roomId, socket.participantId, socket.id)) {
+          socket.to(socket.roomId).emit('user-reconnecting', { userId: socket.participantId });
+          console.log(`${socket.username} dropped out of room ${socket.roomId}`);
+        }
+      } catch (error) {
+        console.error('Failed to leave room:', error);
+      }
     }
     console.log('User disconnected:', socket.id);
   });
 });
 
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+// Free a socket's participant slot. The last one out of a transcribed meeting
+// gets the ID of its minutes, which are written once the room is gone.
+async function leaveMeeting(socket) {
+  const roomId = socket.roomId;
+  const { room, ended } = await store.removeParticipant(roomId, socket.participantId);
+
+  socket.leave(roomId);
+  socket.leave(participantChannel(roomId, socket.participantId));
+  socket.roomId = null;
+  console.log(`${socket.username} left room ${roomId}`);
+
+  await announceDepartures(roomId, room, [{ id: socket.participantId, username: socket.username }]);
+  return ended ? endedMeetingMinutes(ended) : null;
+}
+
+// Add a socket to a room's participants once it has passed the access checks.
+// A password given by whoever creates the room becomes the room's password;
+// identity is the verified join token, if any.
+async function enterRoom(socket, roomId, username, password, identity) {
+  socket.leave(lobbyChannel(roomId));
+  socket.lobbyRoomId = null;
+
+  if (password) {
+    await store.updateRoom(roomId, (room) => {
+      if (Object.keys(room.participants).length === 0) {
+        room.passwordHash = hashPassword(password);
+      }
+    });
+  }
+
+  const participant = {
+    id: crypto.randomUUID(),
+    socketId: socket.id,
+    resumeToken: crypto.randomBytes(24).toString('base64url'),
+    username
+  };
+  if (identity) {
+    participant.userId = identity.sub;
+    participant.verified = true;
+  }
+
+  const room = await store.addParticipant(roomId, participant, {
+    asHost: !!identity && identity.role === 'host'
+  });
+
+  attachSocket(socket, room, participant);
+
+  // Notify others in the room
+  socket.to(roomId).emit('user-joined', {
+    userId: participant.id,
+    username
+  });
+
+  await sendRoomState(socket, room);
+
+  // Everyone needs to know when the joiner became host; otherwise just the joiner
+  if (room.hostId === participant.id) {
+    socket.to(roomId).emit('host-changed', { hostId: room.hostId });
+  }
+
+  console.log(`${username} joined room ${roomId}`);
+}
+
+async function resumeSession(socket, roomId, { participantId, resumeToken }, fresh) {
+  const room = await store.resumeParticipant(roomId, participantId, resumeToken, socket.id);
+  if (!room) return false;
+
+  const participant = room.participants[participantId];
+  attachSocket(socket, room, participant);
+
+  // A fresh page has no peer connections left, so the others must drop theirs
+  socket.to(roomId).emit('user-resumed', {
+    userId: participant.id,
+    username: participant.username,
+    fresh: !!fresh
+  });
+
+  await sendRoomState(socket, room);
+
+  console.log(`${participant.username} resumed their session in room ${roomId}`);
+  return true;
+}
+
+function attachSocket(socket, room, participant) {
+  socket.join(room.id);
+  socket.join(participantChannel(room.id, participant.id));
+
+  // Store room info on socket
+  socket.roomId = room.id;
+  socket.participantId = participant.id;
+  socket.username = participant.username;
+
+  // Lets the client resume this slot if its connection drops
+  socket.emit('session', {
+    participantId: participant.id,
+    resumeToken: participant.resumeToken
+  });
+}
+
+// Everything a (re)joining client needs to catch up with the room
+async function sendRoomState(socket, room) {
+  const existingUsers = Object.values(room.participants)
+    .filter(user => user.id !== socket.participantId)
+    .map(publicParticipant);
+  socket.emit('existing-users', existingUsers);
+  socket.emit('room-settings', roomSettings(room));
+  socket.emit('host-changed', { hostId: room.hostId });
+  socket.emit('hand-queue', { queue: handQueue(room) });
+  socket.emit('captions-wanted', { wanted: captionsWanted(room) });
+  socket.emit('board-updated', {
+    timer: room.timer,
+    polls: room.polls,
+    agenda: room.agenda,
+    notes: room.notes
+  });
+  socket.emit('chat-history', await store.getChatHistory(room.id, {
+    viewerId: socket.participantId,
+    limit: CHAT_PAGE_SIZE
+  }));
+
+  if (room.hostId === socket.participantId) {
+    await sendLobby(room.id);
+  }
+}
+
+// Raised hands in order, with names for display
+function handQueue(room) {
+  return room.handQueue.map(({ participantId, raisedAt }) => ({
+    userId: participantId,
+    username: room.participants[participantId].username,
+    raisedAt
+  }));
+}
+
+function sendHandQueue(room) {
+  io.to(room.id).emit('hand-queue', { queue: handQueue(room) });
+}
+
+function captionsWanted(room) {
+  return Object.values(room.participants).some(participant => participant.captions);
+}
+
+function sendCaptionsWanted(room) {
+  io.to(room.id).emit('captions-wanted', { wanted: captionsWanted(room) });
+}
+
+// Send the room one part of its meeting board (timer, polls, agenda or notes)
+function sendBoard(room, field) {
+  io.to(room.id).emit('board-updated', { [field]: room[field] });
+}
+
+// Lets the assistant act on the meeting board for whoever asked, when the
+// model can call functions; every change is broadcast as it happens
+function meetingTools(roomId, username) {
+  if (!llm.supportsTools) return {};
+
+  return {
+    tools: MEETING_TOOLS,
+    onToolCall: async (call) => {
+      const { result, room, changed } = await runMeetingTool(store, roomId, call, { username });
+      if (room && changed) sendBoard(room, changed);
+      return result;
+    }
+  };
+}
+
+// Room messages go to the whole room, private ones only to their two ends
+function emitChatUpdate(roomId, event, entry, payload = entry) {
+  if (entry.to) {
+    io.to([participantChannel(roomId, entry.userId), participantChannel(roomId, entry.to)]).emit(event, payload);
+  } else {
+    io.to(roomId).emit(event, payload);
+  }
+}
+
+// Trimmed chat text, or null if it is empty or too long
+function chatText(message) {
+  if (typeof message !== 'string') return null;
+  const text = message.trim();
+  return text && text.length <= MAX_CHAT_MESSAGE_LENGTH ? text : null;
+}
+
+// What other clients may see about a participant (never the resume token)
+async function mayUseTurn({ token, roomId, participantId, resumeToken }) {
+  if (verifyToken(token, AUTH_SECRET)) return true;
+  if (typeof roomId !== 'string') return false;
+
+  const room = await store.getRoom(roomId);
+  return !!room && isSessionOf(room, participantId, resumeToken);
+}
+
+// Whether participantId and resumeToken are a session of someone in the
+// room, for HTTP requests made on a participant's behalf
+function isSessionOf(room, participantId, resumeToken) {
+  const participant = typeof participantId === 'string' && room.participants[participantId];
+  return !!participant && typeof resumeToken === 'string' && participant.resumeToken === resumeToken;
+}
+
+function publicParticipant({ id, username, userId, verified, disconnectedAt }) {
+  return { id, username, userId, verified, connected: !disconnectedAt };
+}
+
+// Each participant's sockets share a Socket.io room, so signaling can be
+// addressed by participant ID no matter which socket (or server) they are on.
+// Only sockets that joined the meeting are in it.
+function participantChannel(roomId, participantId) {
+  return `${roomId}:participant:${participantId}`;
+}
+
+// Tell the room who left; room is what remains of it, or null once it's gone
+async function announceDepartures(roomId, room, participants) {
+  participants.forEach(({ id, username }) => {
+    io.to(roomId).emit('user-left', { userId: id, username });
+  });
+
+  if (room) {
+    // The host role may have moved to someone else, and their hands are down
+    io.to(roomId).emit('host-changed', { hostId: room.hostId });
+    sendHandQueue(room);
+    sendCaptionsWanted(room);
+    await sendLobby(roomId);
+  } else {
+    closeLobby(roomId);
+  }
+}
+
+// Lobby members sit in their own Socket.io room so the waiting list needs no
+// bookkeeping: it empties itself as sockets disconnect
+function lobbyChannel(roomId) {
+  return `lobby:${roomId}`;
+}
+
+async function enterLobby(socket, roomId, username) {
+  socket.join(lobbyChannel(roomId));
+  socket.lobbyRoomId = roomId;
+  socket.data.username = username;
+
+  socket.emit('lobby-waiting');
+  await sendLobby(roomId);
+
+  console.log(`${username} is waiting in the lobby of room ${roomId}`);
+}
+
+async function admitFromLobby(roomId, userId) {
+  const room = await store.updateRoom(roomId, (room) => {
+    room.admitted[userId] = true;
+  }, { create: false });
+
+  if (room) {
+    io.in(userId).socketsLeave(lobbyChannel(roomId));
+    io.to(userId).emit('lobby-admitted');
+  }
+}
+
+// Tell the host who is waiting to be let in
+async function sendLobby(roomId) {
+  const room = await store.getRoom(roomId);
+  if (!room || !room.hostId) return;
+
+  const waiting = await io.in(lobbyChannel(roomId)).fetchSockets();
+  io.to(participantChannel(roomId, room.hostId)).emit('lobby-updated', {
+    waiting: waiting.map(s => ({ id: s.id, username: s.data.username }))
+  });
+}
+
+// The meeting is over, so nobody waiting can be let in any more
+function closeLobby(roomId) {
+  io.to(lobbyChannel(roomId)).emit('lobby-denied', { message: 'The meeting has ended.' });
+  io.in(lobbyChannel(roomId)).disconnectSockets(true);
+}
+
+function roomSettings(room) {
+  return {
+    locked: room.locked,
+    lobbyEnabled: room.lobbyEnabled,
+    hasPassword: !!room.passwordHash,
+    aiEnabled: room.aiEnabled,
+    transcriptionEnabled: room.transcriptionEnabled,
+    ai: assistantSettings(room)
+  };
+}
+
+// A client-supplied ISO time, or now if it isn't one
+function validTimestamp(value) {
+  const time = typeof value === 'string' ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? new Date().toISOString() : new Date(time).toISOString();
+}
+
+// Start a minutes record from the transcript and public chat, saved as
+// pending so its download link works before the model has finished
+async function archiveMinutes(room) {
+  const record = {
+    id: crypto.randomUUID(),
+    roomId: room.id,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    summary: '',
+    decisions: [],
+    actionItems: [],
+    transcript: room.transcript.map(({ username, text, startedAt }) => ({ username, text, startedAt })),
+    chat: room.chat
+      .filter(message => !message.to)
+      .map(({ username, message, timestamp }) => ({ username, message, timestamp }))
+  };
+
+  await minutesArchive.save(record);
+  return record;
+}
+
+// Minutes of a meeting that is over, written in the background. Resolves
+// with their ID for the download link, or null if the AI can't write them.
+async function startMinutes(room) {
+  if (!llm || await aiQuota('requests')) return null;
+
+  const record = await archiveMinutes(room);
+  completeMinutes(record).catch(error => console.error('Failed to save minutes:', error));
+  return record.id;
+}
+
+// A transcribed meeting gets minutes however it ends, not only when the host
+// ends it for everyone; an untranscribed one that just emptied doesn't
+function endedMeetingMinutes(room) {
+  return room.transcript.length > 0 ? startMinutes(room) : null;
+}
+
+async function completeMinutes(record) {
+  try {
+    Object.assign(record, await generateMinutes({ llm }, record), { status: 'ready' });
+    await aiUsage.record(record.roomId, 'requests');
+  } catch (error) {
+    console.error('Failed to generate minutes:', error);
+    record.status = 'failed';
+  }
+  await minutesArchive.save(record);
+}
+
+// Answer a message addressed to the assistant, if it is on in this room. The
+// reply streams to the room as ai-message-delta events and then goes into the
+// chat history like any other message, flagged as the AI's; requestedBy tells
+// the asker's client to speak it.
+async function respondAsAssistant(socket, prompt) {
+  const roomId = socket.roomId;
+  const room = await store.getRoom(roomId);
+  if (!llm || !room || !room.aiEnabled) return;
+
+  const id = crypto.randomUUID();
+  const timestamp = new Date().toISOString();
+  const requestedBy = socket.participantId;
+  const settings = assistantSettings(room);
+
+  const refused = aiRateLimit(socketIp(socket), roomId) || await aiQuota('requests');
+  if (refused) return sendActionError(socket, 'ai-message', refused.error);
+
+  io.to(roomId).emit('ai-typing', { typing: true });
+  try {
+    const reply = await askAssistant({ llm, store }, roomId, `${socket.username} asks: ${prompt}`, {
+      settings,
+      ...meetingTools(roomId, socket.username),
+      onDelta: (delta) => {
+        io.to(roomId).emit('ai-message-delta', { id, delta, timestamp, requestedBy });
+      }
+    });
+    await aiUsage.record(roomId, 'requests');
+
+    // A model may act through its tools without saying anything
+    if (!reply.trim()) return;
+
+    const entry = await store.addChatMessage(roomId, {
+      id,
+      userId: ASSISTANT_ID,
+      username: settings.name,
+      ai: true,
+      message: reply,
+      timestamp
+    });
+
+    if (entry) {
+      io.to(roomId).emit('ai-message', { ...entry, requestedBy });
+    }
+  } catch (error) {
+    console.error('AI assistant error:', error);
+    // Take back whatever part of the reply was already shown
+    io.to(roomId).emit('chat-message-deleted', { id });
+    sendActionError(socket, 'ai-message', 'AI failed to respond');
+  } finally {
+    io.to(roomId).emit('ai-typing', { typing: false });
+  }
+}
+
+// Null if another AI request may go ahead from this address in this room,
+// otherwise { error, retryAfter } in seconds
+function aiRateLimit(ip, roomId) {
+  for (const [limiter, key] of [[aiRateByIp, ip], [aiRateByRoom, roomId]]) {
+    if (!key) continue;
+
+    const { ok, retryAfter } = limiter.take(key);
+    if (!ok) {
+      return { error: `Too many AI requests, try again in ${retryAfter} seconds`, retryAfter };
+    }
+  }
+  return null;
+}
+
+// The same for today's quota, which resets at midnight UTC
+async function aiQuota(kind, amount = 1) {
+  const error = await aiUsage.check(kind, amount);
+  if (!error) return null;
+
+  const midnight = new Date();
+  midnight.setUTCHours(24, 0, 0, 0);
+  return { error, retryAfter: Math.ceil((midnight - Date.now()) / 1000) };
+}
+
+function sendTooManyRequests(res, { error, retryAfter }) {
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ error, retryAfter });
+}
+
+function isAdmin(req) {
+  if (!AUTH_ADMIN_KEY) return false;
+
+  const expected = Buffer.from(`Bearer ${AUTH_ADMIN_KEY}`);
+  const actual = Buffer.from(req.get('Authorization') || '');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function socketIp(socket) {
+  const forwarded = socket.handshake.headers['x-forwarded-for'];
+  return TRUST_PROXY && forwarded ? forwarded.split(',')[0].trim() : socket.handshake.address;
+}
+
+// reason tells the client why, when it needs to know: 'invalid' for a
+// payload that failed its schema, 'not-in-room' for a relay sent from outside
+// a meeting or to the sender themselves
+function sendActionError(socket, action, message, reason) {
+  socket.emit('action-error', reason ? { action, message, reason } : { action, message });
+}
+
+// Pass WebRTC signaling on to another participant of the sender's room.
+// Participant channels are scoped to their room, so no other meeting can be
+// reached, and relaying without a store read keeps each socket's offers and
+// candidates in the order they were sent. Someone who has just left gets
+// nothing.
+function relaySignal(socket, event, to, payload) {
+  if (!socket.roomId || to === socket.participantId) {
+    return sendActionError(socket, event, 'That participant is not in this meeting', 'not-in-room');
+  }
+
+  socket.to(participantChannel(socket.roomId, to)).emit(event, { from: socket.participantId, ...payload });
+}
+
+// Resolves with the sender's room if they are its host, otherwise rejects the action
+async function requireHost(socket, action) {
+  const room = socket.roomId ? await store.getRoom(socket.roomId) : null;
+  if (!room || room.hostId !== socket.participantId) {
+    sendActionError(socket, action, 'Only the host can do that');
+    return null;
+  }
+  return room;
+}
+
+function requireParticipant(socket, room, userId, action) {
+  if (!room.participants[userId] || userId === socket.participantId) {
+    sendActionError(socket, action, 'That participant is not in this meeting');
+    return false;
+  }
+  return true;
+}
+
+async function requireWaiting(socket, room, userId, action) {
+  const waiting = await io.in(lobbyChannel(room.id)).fetchSockets();
+  if (!waiting.some(s => s.id === userId)) {
+    sendActionError(socket, action, 'That person is no longer waiting');
+    return false;
+  }
+  return true;
+}
+
+// Socket IDs currently in a room, across every server process
+async function liveSocketIds(roomId) {
+  const sockets = await io.in(roomId).fetchSockets();
+  return new Set(sockets.map(s => s.id));
+}
+
+// Drop participants who haven't resumed within the grace period. This also
+// clears out rooms restored from a persistent store after a restart.
+async function sweepRooms() {
+  const roomIds = await store.list();
+  await Promise.all(roomIds.map(async (roomId) => {
+    const live = await liveSocketIds(roomId);
+    const { room, removed, ended } = await store.sweepParticipants(roomId, live, RESUME_GRACE_MS);
+    if (removed.length > 0) {
+      await announceDepartures(roomId, room, removed);
+    }
+    if (ended) {
+      await endedMeetingMinutes(ended);
+    }
+  }));
+}
+
+Promise.all([store.init(), setupAdapter(io), aiUsage.init()]).then(([, clustered]) => {
+  if (clustered) {
+    console.log('Redis adapter enabled - signaling is shared across processes');
+  }
+
+  setInterval(() => {
+    sweepRooms().catch(error => {
+      console.error('Failed to sweep rooms:', error);
+    });
+  }, SWEEP_INTERVAL_MS);
+
+  server.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+  });
+}).catch(error => {
+  console.error('Failed to start server:', error);
+  process.exit(1);
 });
@@ -0,0 +1,45 @@
+const LLMProvider = require('./llm-provider');
+const OpenAIProvider = require('./openai-provider');
+const LocalProvider = require('./local-provider');
+const MockProvider = require('./mock-provider');
+
+// Pick the AI assistant's model provider from configuration
+// (LLM_PROVIDER=openai|local|mock). Defaults to openai when OPENAI_API_KEY is
+// set; resolves to null, which disables the assistant, when nothing is.
+// LLM_MODELS lists further models room hosts may switch their assistant to;
+// LLM_TOOLS=true lets a local model use the meeting tools.
+function createLLMProvider(env = process.env) {
+  const type = (env.LLM_PROVIDER || (env.OPENAI_API_KEY ? 'openai' : '')).toLowerCase();
+  const model = env.LLM_MODEL || undefined;
+  const models = (env.LLM_MODELS || '').split(',').map(name => name.trim()).filter(Boolean);
+
+  switch (type) {
+    case '':
+      return null;
+    case 'openai':
+      if (!env.OPENAI_API_KEY) {
+        throw new Error('LLM_PROVIDER=openai requires OPENAI_API_KEY');
+      }
+      return new OpenAIProvider({ apiKey: env.OPENAI_API_KEY, baseURL: env.LLM_BASE_URL || undefined, model, models });
+    case 'local':
+      return new LocalProvider({
+        baseURL: env.LLM_BASE_URL || undefined,
+        apiKey: env.LLM_API_KEY,
+        model,
+        models,
+        tools: env.LLM_TOOLS === 'true'
+      });
+    case 'mock':
+      return new MockProvider({ model, models });
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${type}" (expected openai, local or mock)`);
+  }
+}
+
+module.exports = {
+  createLLMProvider,
+  LLMProvider,
+  OpenAIProvider,
+  LocalProvider,
+  MockProvider
+};
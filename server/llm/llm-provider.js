@@ -0,0 +1,37 @@
+// Base class for the language model behind the AI assistant.
+//
+// chat() takes OpenAI-style messages ({ role, content }) and resolves with the
+// reply text; chatStream() takes the same options and yields the reply in
+// pieces as the model produces them. Providers that can also synthesise speech set supportsSpeech
+// and implement speech(), which resolves with MP3 audio in a Buffer.
+//
+// chatStream() may also be given tools ({ name, description, parameters },
+// parameters being a JSON schema). Providers that support function calling
+// set supportsTools and yield { toolCall: { id, name, arguments } } for each
+// call the model makes, after any text; the others ignore tools.
+//
+// model is the default; models are the ones room hosts may choose instead.
+class LLMProvider {
+  constructor({ name, model, models = [] }) {
+    this.name = name;
+    this.model = model;
+    this.models = [model, ...models.filter(other => other !== model)];
+    this.supportsSpeech = false;
+    this.supportsTools = false;
+  }
+
+  async chat({ messages, model, maxTokens }) {
+    throw new Error('chat() not implemented');
+  }
+
+  // Providers that can't stream hand over the whole reply as one piece
+  async *chatStream(options) {
+    yield await this.chat(options);
+  }
+
+  async speech({ text, voice }) {
+    throw new Error(`The ${this.name} provider cannot synthesise speech`);
+  }
+}
+
+module.exports = LLMProvider;
@@ -0,0 +1,21 @@
+const OpenAIProvider = require('./openai-provider');
+
+// A self-hosted model behind an OpenAI-compatible endpoint, e.g. Ollama
+// (http://localhost:11434/v1) or llama.cpp's server (http://localhost:8080/v1).
+// These have no text-to-speech, so the assistant only answers in chat.
+// Function calling is off unless tools is set: llama.cpp without --jinja, and
+// Ollama models without tool support, reject any request that offers tools.
+class LocalProvider extends OpenAIProvider {
+  constructor({ baseURL = 'http://localhost:11434/v1', apiKey, model = 'llama3.1', models, tools = false }) {
+    // The client insists on a key even though local servers ignore it
+    super({ name: 'local', apiKey: apiKey || 'local', baseURL, model, models });
+    this.supportsSpeech = false;
+    this.supportsTools = tools;
+  }
+
+  async speech() {
+    throw new Error('The local provider cannot synthesise speech');
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const LLMProvider = require('./llm-provider');
+
+// Deterministic stand-in for tests and offline development: echoes the last
+// user message, trimmed to roughly maxTokens words. A user message ending in
+// "/tool_name {json arguments}" calls that tool instead, and the reply after
+// a tool has run repeats its result.
+class MockProvider extends LLMProvider {
+  constructor({ model = 'mock', models } = {}) {
+    super({ name: 'mock', model, models });
+    this.supportsTools = true;
+  }
+
+  async chat({ messages, maxTokens }) {
+    const last = messages[messages.length - 1];
+    if (last && last.role === 'tool') {
+      return `Done: ${last.content}`;
+    }
+
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    const reply = `Mock reply to: ${lastUser ? lastUser.content : ''}`;
+
+    return maxTokens ? reply.split(/\s+/).slice(0, maxTokens).join(' ') : reply;
+  }
+
+  // Streams the same reply a word at a time
+  async *chatStream(options) {
+    const toolCall = this.toolCall(options);
+    if (toolCall) {
+      yield { toolCall };
+      return;
+    }
+
+    const reply = await this.chat(options);
+    for (const piece of reply.split(/(?=\s)/)) {
+      yield piece;
+    }
+  }
+
+  toolCall({ messages, tools = [] }) {
+    const last = messages[messages.length - 1];
+    if (!last || last.role !== 'user') return null;
+
+    const match = last.content.match(/\/(\w+)\s*(\{.*\})?\s*$/);
+    if (!match || !tools.some(tool => tool.name === match[1])) return null;
+
+    let args;
+    try {
+      args = JSON.parse(match[2] || '{}');
+    } catch (error) {
+      args = null;
+    }
+    return { id: `call_${crypto.randomUUID()}`, name: match[1], arguments: args };
+  }
+}
+
+module.exports = MockProvider;
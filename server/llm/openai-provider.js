@@ -0,0 +1,74 @@
+const OpenAI = require('openai');
+const LLMProvider = require('./llm-provider');
+
+// OpenAI's hosted API, or anything else that speaks its protocol at baseURL
+class OpenAIProvider extends LLMProvider {
+  constructor({ name = 'openai', apiKey, baseURL, model = 'gpt-4o-mini', models }) {
+    super({ name, model, models });
+    this.client = new OpenAI({ apiKey, baseURL });
+    this.supportsSpeech = true;
+    this.supportsTools = true;
+  }
+
+  async chat({ messages, model = this.model, maxTokens }) {
+    const completion = await this.client.chat.completions.create({
+      model,
+      messages,
+      max_tokens: maxTokens
+    });
+    return completion.choices[0].message.content;
+  }
+
+  async *chatStream({ messages, model = this.model, maxTokens, tools }) {
+    const stream = await this.client.chat.completions.create({
+      model,
+      messages,
+      max_tokens: maxTokens,
+      tools: tools && tools.length > 0
+        ? tools.map(tool => ({ type: 'function', function: tool }))
+        : undefined,
+      stream: true
+    });
+
+    // Tool calls arrive in fragments, keyed by their position in the reply
+    const toolCalls = [];
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0] && chunk.choices[0].delta;
+      if (!delta) continue;
+
+      if (delta.content) yield delta.content;
+
+      (delta.tool_calls || []).forEach(({ index, id, function: fn }) => {
+        const call = toolCalls[index] || (toolCalls[index] = { id, name: '', arguments: '' });
+        if (id) call.id = id;
+        if (fn && fn.name) call.name += fn.name;
+        if (fn && fn.arguments) call.arguments += fn.arguments;
+      });
+    }
+
+    for (const call of toolCalls.filter(Boolean)) {
+      yield { toolCall: { id: call.id, name: call.name, arguments: parseArguments(call.arguments) } };
+    }
+  }
+
+  async speech({ text, voice = 'nova' }) {
+    const mp3 = await this.client.audio.speech.create({
+      model: 'tts-1',
+      voice, // alloy, echo, fable, onyx, nova, shimmer
+      input: text
+    });
+    return Buffer.from(await mp3.arrayBuffer());
+  }
+}
+
+// Malformed arguments come through as null for the tool to reject
+function parseArguments(json) {
+  try {
+    return JSON.parse(json || '{}');
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = OpenAIProvider;
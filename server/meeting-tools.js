@@ -0,0 +1,236 @@
+// Actions the AI assistant can take in a meeting through function calling.
+// Each tool runs against the room's meeting board in the store and says which
+// part of it changed, so the server can broadcast the new state as a
+// structured event; what the tool returns goes back to the model, which
+// tells the room about it in its reply.
+
+const crypto = require('crypto');
+
+const MAX_TIMER_MINUTES = 180;
+const MAX_TITLE_LENGTH = 200;
+const MAX_NOTE_LENGTH = 500;
+const MAX_OPTION_LENGTH = 100;
+const MAX_POLL_OPTIONS = 10;
+
+// What a tool tells the model once the host has ended the meeting mid-reply
+const MEETING_ENDED = { result: { error: 'The meeting has ended' } };
+
+const MEETING_TOOLS = [
+  {
+    name: 'start_timer',
+    description: 'Start a countdown everyone in the meeting can see, replacing any running one.',
+    parameters: {
+      type: 'object',
+      properties: {
+        minutes: { type: 'number', description: 'Length of the countdown in minutes, e.g. 5 or 0.5' },
+        label: { type: 'string', description: 'What the timer is for, e.g. "Break"' }
+      },
+      required: ['minutes']
+    }
+  },
+  {
+    name: 'cancel_timer',
+    description: 'Stop the running countdown.',
+    parameters: { type: 'object', properties: {} }
+  },
+  {
+    name: 'create_poll',
+    description: 'Put a multiple-choice poll to the meeting.',
+    parameters: {
+      type: 'object',
+      properties: {
+        question: { type: 'string' },
+        options: { type: 'array', items: { type: 'string' }, minItems: 2, maxItems: MAX_POLL_OPTIONS }
+      },
+      required: ['question', 'options']
+    }
+  },
+  {
+    name: 'close_poll',
+    description: 'Close the most recent open poll and get its results.',
+    parameters: { type: 'object', properties: {} }
+  },
+  {
+    name: 'add_note',
+    description: 'Record a note, decision or action item for the meeting.',
+    parameters: {
+      type: 'object',
+      properties: {
+        text: { type: 'string', description: 'The note, e.g. "Alice owns the migration"' }
+      },
+      required: ['text']
+    }
+  },
+  {
+    name: 'add_agenda_items',
+    description: 'Add items to the end of the meeting agenda.',
+    parameters: {
+      type: 'object',
+      properties: {
+        items: { type: 'array', items: { type: 'string' }, minItems: 1 }
+      },
+      required: ['items']
+    }
+  },
+  {
+    name: 'next_agenda_item',
+    description: 'Mark the current agenda item as done and move on to the next one.',
+    parameters: { type: 'object', properties: {} }
+  },
+  {
+    name: 'get_agenda',
+    description: 'Get the agenda, with which items are done and which one is current.',
+    parameters: { type: 'object', properties: {} }
+  }
+];
+
+// Run one tool call for username in a room. Resolves with { result } for the
+// model, plus the updated room and which board field changed (timer, polls,
+// agenda or notes) when there is something to broadcast.
+async function runMeetingTool(store, roomId, { name, arguments: args }, { username }) {
+  if (!args || typeof args !== 'object') {
+    return { result: { error: 'Arguments must be a JSON object' } };
+  }
+
+  switch (name) {
+    case 'start_timer': {
+      const { minutes } = args;
+      if (typeof minutes !== 'number' || !(minutes > 0) || minutes > MAX_TIMER_MINUTES) {
+        return { result: { error: `minutes must be more than 0 and at most ${MAX_TIMER_MINUTES}` } };
+      }
+
+      const startedAt = new Date();
+      const timer = {
+        id: crypto.randomUUID(),
+        label: cleanText(args.label, MAX_TITLE_LENGTH) || 'Timer',
+        startedBy: username,
+        startedAt: startedAt.toISOString(),
+        endsAt: new Date(startedAt.getTime() + Math.round(minutes * 60) * 1000).toISOString()
+      };
+      const room = await store.setTimer(roomId, timer);
+      if (!room) return MEETING_ENDED;
+      return { room, changed: 'timer', result: { started: timer.label, endsAt: timer.endsAt } };
+    }
+
+    case 'cancel_timer': {
+      const current = await store.getRoom(roomId);
+      if (!current || !current.timer) {
+        return { result: { error: 'No timer is running' } };
+      }
+
+      const room = await store.setTimer(roomId, null);
+      if (!room) return MEETING_ENDED;
+      return { room, changed: 'timer', result: { cancelled: current.timer.label } };
+    }
+
+    case 'create_poll': {
+      const question = cleanText(args.question, MAX_TITLE_LENGTH);
+      const options = Array.isArray(args.options)
+        ? args.options.map(option => cleanText(option, MAX_OPTION_LENGTH)).filter(Boolean)
+        : [];
+      if (!question || options.length < 2 || options.length > MAX_POLL_OPTIONS) {
+        return { result: { error: `A poll needs a question and 2 to ${MAX_POLL_OPTIONS} options` } };
+      }
+
+      const poll = {
+        id: crypto.randomUUID(),
+        question,
+        options,
+        // Option index by participant ID
+        votes: {},
+        closed: false,
+        createdBy: username,
+        createdAt: new Date().toISOString()
+      };
+      const room = await store.addPoll(roomId, poll);
+      if (!room) return MEETING_ENDED;
+      return { room, changed: 'polls', result: { created: question, options } };
+    }
+
+    case 'close_poll': {
+      const current = await store.getRoom(roomId);
+      const open = current ? current.polls.filter(poll => !poll.closed) : [];
+      const closed = open.length > 0 ? await store.closePoll(roomId, open[open.length - 1].id) : null;
+      if (!closed) {
+        return { result: { error: 'There is no open poll' } };
+      }
+
+      const { room, poll } = closed;
+      return { room, changed: 'polls', result: { question: poll.question, results: pollResults(poll) } };
+    }
+
+    case 'add_note': {
+      const text = cleanText(args.text, MAX_NOTE_LENGTH);
+      if (!text) {
+        return { result: { error: 'The note is empty' } };
+      }
+
+      const room = await store.addNote(roomId, {
+        id: crypto.randomUUID(),
+        text,
+        addedBy: username,
+        createdAt: new Date().toISOString()
+      });
+      if (!room) return MEETING_ENDED;
+      return { room, changed: 'notes', result: { noted: text } };
+    }
+
+    case 'add_agenda_items': {
+      const titles = Array.isArray(args.items)
+        ? args.items.map(item => cleanText(item, MAX_TITLE_LENGTH)).filter(Boolean)
+        : [];
+      if (titles.length === 0) {
+        return { result: { error: 'No agenda items given' } };
+      }
+
+      const room = await store.addAgendaItems(roomId, titles.map(title => ({
+        id: crypto.randomUUID(),
+        title,
+        done: false
+      })));
+      if (!room) return MEETING_ENDED;
+      return { room, changed: 'agenda', result: agendaSummary(room.agenda) };
+    }
+
+    case 'next_agenda_item': {
+      const advanced = await store.advanceAgenda(roomId);
+      if (!advanced) return MEETING_ENDED;
+
+      const { room, finished } = advanced;
+      if (!finished) {
+        return { result: { error: 'Every agenda item is already done', ...agendaSummary(room.agenda) } };
+      }
+
+      return { room, changed: 'agenda', result: { finished: finished.title, ...agendaSummary(room.agenda) } };
+    }
+
+    case 'get_agenda': {
+      const room = await store.getRoom(roomId);
+      if (!room) return MEETING_ENDED;
+      return { room, changed: 'agenda', result: agendaSummary(room.agenda) };
+    }
+
+    default:
+      return { result: { error: `Unknown tool ${name}` } };
+  }
+}
+
+function cleanText(value, maxLength) {
+  return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+function pollResults(poll) {
+  const counts = poll.options.map(() => 0);
+  Object.values(poll.votes).forEach(option => counts[option]++);
+  return poll.options.map((option, index) => ({ option, votes: counts[index] }));
+}
+
+function agendaSummary(agenda) {
+  const current = agenda.find(item => !item.done);
+  return {
+    agenda: agenda.map(({ title, done }) => ({ title, done })),
+    current: current ? current.title : null
+  };
+}
+
+module.exports = { MEETING_TOOLS, runMeetingTool };
@@ -0,0 +1,75 @@
+const fs = require('fs/promises');
+const path = require('path');
+const writeFileAtomic = require('./write-file-atomic');
+
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+// Meeting minutes, one JSON file each, kept after the room itself is gone so
+// they can still be downloaded once the meeting has ended. A record is
+//   { id, roomId, status: 'pending' | 'ready' | 'failed', createdAt,
+//     summary, decisions: [], actionItems: [{ owner, task }], transcript: [], chat: [] }
+class MinutesArchive {
+  constructor(directory) {
+    this.directory = directory;
+    this.ready = fs.mkdir(directory, { recursive: true });
+    // Saving reports the failure too; here it only needs logging
+    this.ready.catch(error => console.error(`Failed to create ${directory}:`, error));
+  }
+
+  // IDs come from URLs, so anything that isn't one of ours is refused
+  file(id) {
+    return ID_PATTERN.test(id) ? path.join(this.directory, `${id}.json`) : null;
+  }
+
+  async save(record) {
+    await this.ready;
+
+    await writeFileAtomic(this.file(record.id), JSON.stringify(record));
+  }
+
+  async load(id) {
+    const file = this.file(id);
+    if (!file) return null;
+
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  static toMarkdown({ roomId, createdAt, summary, decisions, actionItems, transcript, chat }) {
+    const time = timestamp => timestamp.slice(11, 16);
+    const list = (items, empty) => (items.length > 0 ? items.join('\n') : empty);
+
+    return [
+      '# Meeting minutes',
+      '',
+      `Meeting ${roomId}, ${createdAt.slice(0, 10)} (times in UTC)`,
+      '',
+      '## Summary',
+      '',
+      summary || '_No summary._',
+      '',
+      '## Decisions',
+      '',
+      list(decisions.map(decision => `- ${decision}`), '_None recorded._'),
+      '',
+      '## Action items',
+      '',
+      list(actionItems.map(({ owner, task }) => `- [ ] ${task} (owner: ${owner})`), '_None recorded._'),
+      '',
+      '## Transcript',
+      '',
+      list(transcript.map(({ username, text, startedAt }) => `**[${time(startedAt)}] ${username}:** ${text}  `), '_No transcript._'),
+      '',
+      '## Chat',
+      '',
+      list(chat.map(({ username, message, timestamp }) => `**[${time(timestamp)}] ${username}:** ${message}  `), '_No chat messages._'),
+      ''
+    ].join('\n');
+  }
+}
+
+module.exports = MinutesArchive;
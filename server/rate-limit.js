@@ -0,0 +1,50 @@
+// Token buckets, one per key (an IP address, a room ID). A bucket holds up to
+// perMinute tokens and refills at that rate; each request takes one, and a
+// request that finds the bucket empty is refused with how long to wait.
+// Buckets live in this process only.
+
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+class RateLimiter {
+  constructor({ perMinute }) {
+    this.capacity = perMinute;
+    this.perMs = perMinute / 60000;
+    this.buckets = new Map();
+
+    this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+    this.pruneTimer.unref();
+  }
+
+  // { ok: true }, or { ok: false, retryAfter } in seconds
+  take(key) {
+    const bucket = this.refill(key);
+
+    if (bucket.tokens < 1) {
+      return { ok: false, retryAfter: Math.ceil((1 - bucket.tokens) / this.perMs / 1000) };
+    }
+
+    bucket.tokens -= 1;
+    return { ok: true };
+  }
+
+  refill(key) {
+    const now = Date.now();
+    const bucket = this.buckets.get(key) || { tokens: this.capacity, at: now };
+
+    bucket.tokens = Math.min(this.capacity, bucket.tokens + (now - bucket.at) * this.perMs);
+    bucket.at = now;
+    this.buckets.set(key, bucket);
+    return bucket;
+  }
+
+  // A full bucket is the same as no bucket
+  prune() {
+    this.buckets.forEach((bucket, key) => {
+      if (this.refill(key).tokens >= this.capacity) {
+        this.buckets.delete(key);
+      }
+    });
+  }
+}
+
+module.exports = RateLimiter;
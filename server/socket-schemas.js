@@ -0,0 +1,212 @@
+// The shape of every event a client may send. Payloads are checked before any
+// handler runs, so handlers can rely on types and sizes; anything else,
+// including events not listed here, is rejected with an action-error (a
+// join-error for join-room). Schemas are a small subset of JSON Schema,
+// like the meeting tools' parameters: type (one or a list), properties,
+// required, additionalProperties: false, enum, minLength/maxLength and
+// minimum/maximum.
+
+const MAX_CHAT_MESSAGE_LENGTH = 2000;
+// Longest caption relayed; recognisers restart well before a phrase gets this long
+const MAX_CAPTION_LENGTH = 500;
+// Offers carry every transceiver's codecs and candidates, so allow plenty
+const MAX_SDP_LENGTH = 64 * 1024;
+const MAX_CANDIDATE_LENGTH = 1024;
+const MAX_ID_LENGTH = 128;
+const MAX_NAME_LENGTH = 100;
+const MAX_PASSWORD_LENGTH = 200;
+const MAX_TOKEN_LENGTH = 4096;
+
+const id = { type: 'string', minLength: 1, maxLength: MAX_ID_LENGTH };
+const timestamp = { type: ['string', 'null'], maxLength: 64 };
+
+function payload(properties, required = []) {
+  return { type: 'object', properties, required, additionalProperties: false };
+}
+
+function description(type) {
+  return payload({
+    type: { type: 'string', enum: [type] },
+    sdp: { type: 'string', maxLength: MAX_SDP_LENGTH }
+  }, ['type', 'sdp']);
+}
+
+// null means the event carries no payload
+const EVENT_SCHEMAS = {
+  'join-room': payload({
+    roomId: { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH },
+    username: { type: 'string', maxLength: MAX_NAME_LENGTH },
+    password: { type: ['string', 'null'], maxLength: MAX_PASSWORD_LENGTH },
+    token: { type: ['string', 'null'], maxLength: MAX_TOKEN_LENGTH },
+    session: {
+      type: ['object', 'null'],
+      properties: { participantId: id, resumeToken: { type: 'string', maxLength: MAX_ID_LENGTH } },
+      required: ['participantId', 'resumeToken'],
+      additionalProperties: false
+    },
+    fresh: { type: 'boolean' }
+  }, ['roomId', 'username']),
+
+  offer: payload({ to: id, offer: description('offer') }, ['to', 'offer']),
+  answer: payload({ to: id, answer: description('answer') }, ['to', 'answer']),
+  'ice-candidate': payload({
+    to: id,
+    candidate: payload({
+      candidate: { type: 'string', maxLength: MAX_CANDIDATE_LENGTH },
+      sdpMid: { type: ['string', 'null'], maxLength: MAX_ID_LENGTH },
+      sdpMLineIndex: { type: ['integer', 'null'], minimum: 0, maximum: 1024 },
+      usernameFragment: { type: ['string', 'null'], maxLength: MAX_ID_LENGTH }
+    }, ['candidate'])
+  }, ['to', 'candidate']),
+
+  'chat-message': payload({
+    message: { type: 'string', maxLength: MAX_CHAT_MESSAGE_LENGTH },
+    forAI: { type: 'boolean' }
+  }, ['message']),
+  'private-message': payload({
+    to: id,
+    message: { type: 'string', maxLength: MAX_CHAT_MESSAGE_LENGTH }
+  }, ['to', 'message']),
+  'chat-edit': payload({
+    id,
+    message: { type: 'string', maxLength: MAX_CHAT_MESSAGE_LENGTH }
+  }, ['id', 'message']),
+  'chat-delete': payload({ id }, ['id']),
+  'chat-history': payload({ before: { ...id, type: ['string', 'null'] } }),
+  // Answered through the acknowledgement callback
+  'chat-export': null,
+
+  'toggle-audio': payload({ enabled: { type: 'boolean' } }, ['enabled']),
+  'toggle-video': payload({ enabled: { type: 'boolean' } }, ['enabled']),
+
+  'transcript-segment': payload({
+    text: { type: 'string', maxLength: MAX_CHAT_MESSAGE_LENGTH },
+    startedAt: timestamp,
+    endedAt: timestamp
+  }, ['text']),
+  captions: payload({ enabled: { type: 'boolean' } }, ['enabled']),
+  caption: payload({
+    text: { type: 'string', maxLength: MAX_CAPTION_LENGTH },
+    final: { type: 'boolean' }
+  }, ['text']),
+  'generate-minutes': null,
+  // Answered through the acknowledgement callback
+  'leave-meeting': null,
+
+  'raise-hand': null,
+  'lower-hand': null,
+  'host-lower-hand': payload({ userId: id }, ['userId']),
+  'host-clear-hands': null,
+  'ai-speaking': payload({ speaking: { type: 'boolean' } }, ['speaking']),
+  'poll-vote': payload({ pollId: id, option: { type: 'integer', minimum: 0 } }, ['pollId', 'option']),
+  reaction: payload({ emoji: { type: 'string', maxLength: 16 } }, ['emoji']),
+
+  'host-mute': payload({ userId: id, kind: { type: 'string', enum: ['audio', 'video'] } }, ['userId', 'kind']),
+  'host-remove': payload({ userId: id }, ['userId']),
+  'host-end-meeting': null,
+  'host-update-room': payload({
+    locked: { type: 'boolean' },
+    lobbyEnabled: { type: 'boolean' },
+    password: { type: 'string', maxLength: MAX_PASSWORD_LENGTH },
+    aiEnabled: { type: 'boolean' },
+    transcriptionEnabled: { type: 'boolean' }
+  }),
+  // Limits on the values themselves are checked by validateSettings
+  'host-update-ai': payload({
+    name: { type: 'string', maxLength: MAX_NAME_LENGTH },
+    systemPrompt: { type: 'string', maxLength: 4000 },
+    model: { type: ['string', 'null'], maxLength: MAX_NAME_LENGTH },
+    voice: { type: 'string', maxLength: MAX_NAME_LENGTH },
+    maxTokens: { type: 'integer' },
+    contextSize: { type: 'integer' }
+  }),
+  'host-admit': payload({ userId: id }, ['userId']),
+  'host-deny': payload({ userId: id }, ['userId'])
+};
+
+// Check an incoming event's arguments (without any acknowledgement callback).
+// Returns an error message for the client, or null if the event is valid.
+function validateEvent(event, args) {
+  if (!Object.prototype.hasOwnProperty.call(EVENT_SCHEMAS, event)) {
+    return `Unknown event ${event}`;
+  }
+
+  const schema = EVENT_SCHEMAS[event];
+  if (!schema) {
+    return args.length === 0 ? null : `${event} takes no payload`;
+  }
+  if (args.length !== 1) {
+    return `${event} takes a single payload`;
+  }
+  return validate(schema, args[0], 'payload');
+}
+
+function validate(schema, value, path) {
+  const types = [].concat(schema.type);
+  const type = typeOf(value);
+  if (!types.includes(type) && !(type === 'integer' && types.includes('number'))) {
+    return `${path} must be ${types.map(article).join(' or ')}`;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `${path} must be one of ${schema.enum.join(', ')}`;
+  }
+
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return `${path} must not be empty`;
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return `${path} must be at most ${schema.maxLength} characters`;
+    }
+  }
+
+  if (type === 'integer' || type === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return `${path} must be at least ${schema.minimum}`;
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return `${path} must be at most ${schema.maximum}`;
+    }
+  }
+
+  if (type === 'object') {
+    const properties = schema.properties || {};
+    const missing = (schema.required || []).find(key => value[key] === undefined);
+    if (missing) return `${path}.${missing} is required`;
+
+    for (const [key, item] of Object.entries(value)) {
+      if (!Object.prototype.hasOwnProperty.call(properties, key)) {
+        if (schema.additionalProperties === false) return `${path}.${key} is not allowed`;
+        continue;
+      }
+      if (item === undefined) continue;
+
+      const error = validate(properties[key], item, `${path}.${key}`);
+      if (error) return error;
+    }
+  }
+
+  return null;
+}
+
+// JSON Schema type names, with integers told apart from other numbers
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return 'non-finite number';
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+function article(type) {
+  if (type === 'null') return 'null';
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+module.exports = {
+  MAX_CHAT_MESSAGE_LENGTH,
+  validateEvent
+};
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const writeFileAtomic = require('./write-file-atomic');
+
+// Synthesised speech on disk, one MP3 per distinct phrase. The key hashes
+// everything that shapes the audio, so a phrase that comes up again in the
+// same voice is served from here instead of being paid for twice. Most
+// sentences never come up again, so the cache is kept under maxBytes and
+// maxAgeMs, dropping the least recently used phrases first.
+
+// Pruning lists the whole directory, so it runs at most this often
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+class SpeechCache {
+  constructor(directory, { maxBytes, maxAgeMs }) {
+    this.directory = directory;
+    this.maxBytes = maxBytes;
+    this.maxAgeMs = maxAgeMs;
+    this.prunedAt = 0;
+    this.ready = fs.mkdir(directory, { recursive: true });
+    // Without the directory, speech is synthesised every time instead
+    this.ready.catch(error => console.error(`Failed to create ${directory}:`, error));
+  }
+
+  static key({ provider, voice, text }) {
+    return crypto.createHash('sha256').update(JSON.stringify([provider, voice, text])).digest('hex');
+  }
+
+  file(key) {
+    return path.join(this.directory, `${key}.mp3`);
+  }
+
+  // The cached audio, or null. A hit counts as a use, for eviction.
+  async get(key) {
+    const file = this.file(key);
+    try {
+      const buffer = await fs.readFile(file);
+      const now = new Date();
+      fs.utimes(file, now, now).catch(() => {});
+      return buffer;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // A failed write only costs a future cache hit, so it is logged, not thrown
+  async set(key, buffer) {
+    try {
+      await this.ready;
+      await writeFileAtomic(this.file(key), buffer);
+    } catch (error) {
+      console.error('Failed to cache speech:', error);
+    }
+
+    if (Date.now() - this.prunedAt >= PRUNE_INTERVAL_MS) {
+      this.prunedAt = Date.now();
+      this.prune().catch(error => console.error('Failed to prune the speech cache:', error));
+    }
+  }
+
+  // Remove phrases unused for longer than maxAgeMs, then the least recently
+  // used ones until the rest fit in maxBytes
+  async prune() {
+    const names = (await fs.readdir(this.directory)).filter(name => name.endsWith('.mp3'));
+    const entries = [];
+    await Promise.all(names.map(async (name) => {
+      const file = path.join(this.directory, name);
+      try {
+        const { size, mtimeMs } = await fs.stat(file);
+        entries.push({ file, size, mtimeMs });
+      } catch (error) {
+        // Removed by another process in the meantime
+      }
+    }));
+
+    // Newest first, so everything past the limits is at the end
+    entries.sort((a, b) => b.mtimeMs - a.mtimeMs);
+    const oldest = Date.now() - this.maxAgeMs;
+    let total = 0;
+    const expired = entries.filter(({ size, mtimeMs }) => {
+      total += size;
+      return mtimeMs < oldest || total > this.maxBytes;
+    });
+
+    await Promise.all(expired.map(({ file }) => fs.rm(file, { force: true })));
+  }
+}
+
+module.exports = SpeechCache;
@@ -0,0 +1,60 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const MAX_PEERS_PER_REPORT = 50;
+const MAX_ID_LENGTH = 128;
+const NUMBER_FIELDS = [
+  'samples', 'rttAvg', 'rttMax', 'packetLossAvg', 'packetLossMax', 'jitterAvg',
+  'inboundBitrateAvg', 'outboundBitrateAvg', 'frameRateAvg', 'width', 'height'
+];
+const CANDIDATE_TYPES = ['host', 'srflx', 'prflx', 'relay'];
+
+// Connection quality reports from clients, appended to one JSON Lines file per
+// day so they can be analysed later with any log tooling
+class StatsLog {
+  constructor(directory) {
+    this.directory = directory;
+    this.ready = fs.mkdir(directory, { recursive: true });
+    // Writes fail again, and are reported, for as long as this does; it
+    // mustn't take the server down at startup
+    this.ready.catch(error => console.error(`Failed to create ${directory}:`, error));
+  }
+
+  // Keep only the fields we know about; returns null if the report is unusable
+  static sanitize(report) {
+    if (!report || typeof report !== 'object') return null;
+
+    const { roomId, participantId, peers } = report;
+    if (!isId(roomId) || !isId(participantId)) return null;
+    if (!Array.isArray(peers) || peers.length === 0 || peers.length > MAX_PEERS_PER_REPORT) return null;
+    if (!peers.every(peer => peer && typeof peer === 'object' && isId(peer.peerId))) return null;
+
+    return {
+      roomId,
+      participantId,
+      peers: peers.map((peer) => {
+        const clean = { peerId: peer.peerId };
+        NUMBER_FIELDS.forEach((field) => {
+          clean[field] = Number.isFinite(peer[field]) ? peer[field] : null;
+        });
+        clean.localCandidateType = CANDIDATE_TYPES.includes(peer.localCandidateType) ? peer.localCandidateType : null;
+        clean.remoteCandidateType = CANDIDATE_TYPES.includes(peer.remoteCandidateType) ? peer.remoteCandidateType : null;
+        return clean;
+      })
+    };
+  }
+
+  async record(report) {
+    await this.ready;
+
+    const receivedAt = new Date().toISOString();
+    const file = path.join(this.directory, `${receivedAt.slice(0, 10)}.jsonl`);
+    await fs.appendFile(file, `${JSON.stringify({ receivedAt, ...report })}\n`);
+  }
+}
+
+function isId(value) {
+  return typeof value === 'string' && value.length > 0 && value.length <= MAX_ID_LENGTH;
+}
+
+module.exports = StatsLog;
@@ -0,0 +1,48 @@
+const fs = require('fs/promises');
+const path = require('path');
+const RoomStore = require('./room-store');
+const writeFileAtomic = require('../write-file-atomic');
+
+// Persists each room as a JSON file so meetings survive a restart
+class FileRoomStore extends RoomStore {
+  constructor(directory) {
+    super();
+    this.directory = directory;
+  }
+
+  async init() {
+    await fs.mkdir(this.directory, { recursive: true });
+  }
+
+  filePath(roomId) {
+    // Room IDs come from the URL, so never use them as a path directly
+    return path.join(this.directory, `${encodeURIComponent(roomId)}.json`);
+  }
+
+  async load(roomId) {
+    try {
+      const data = await fs.readFile(this.filePath(roomId), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async save(room) {
+    await writeFileAtomic(this.filePath(room.id), JSON.stringify(room));
+  }
+
+  async remove(roomId) {
+    await fs.rm(this.filePath(roomId), { force: true });
+  }
+
+  async list() {
+    const files = await fs.readdir(this.directory);
+    return files
+      .filter(file => file.endsWith('.json'))
+      .map(file => decodeURIComponent(file.slice(0, -'.json'.length)));
+  }
+}
+
+module.exports = FileRoomStore;
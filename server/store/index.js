@@ -0,0 +1,33 @@
+const path = require('path');
+const RoomStore = require('./room-store');
+const MemoryRoomStore = require('./memory-store');
+const FileRoomStore = require('./file-store');
+const RedisRoomStore = require('./redis-store');
+
+// Pick a room store from configuration (ROOM_STORE=memory|file|redis).
+// Defaults to redis when REDIS_URL is set so every process shares the roster.
+function createRoomStore(env = process.env) {
+  const type = (env.ROOM_STORE || (env.REDIS_URL ? 'redis' : 'memory')).toLowerCase();
+
+  switch (type) {
+    case 'memory':
+      return new MemoryRoomStore();
+    case 'file':
+      return new FileRoomStore(env.ROOM_STORE_DIR || path.join(__dirname, '../../data/rooms'));
+    case 'redis':
+      if (!env.REDIS_URL) {
+        throw new Error('ROOM_STORE=redis requires REDIS_URL');
+      }
+      return new RedisRoomStore(env.REDIS_URL);
+    default:
+      throw new Error(`Unknown ROOM_STORE "${type}" (expected memory, file or redis)`);
+  }
+}
+
+module.exports = {
+  createRoomStore,
+  RoomStore,
+  MemoryRoomStore,
+  FileRoomStore,
+  RedisRoomStore
+};
@@ -0,0 +1,29 @@
+const RoomStore = require('./room-store');
+
+// Process-local store; state is lost when the server restarts
+class MemoryRoomStore extends RoomStore {
+  constructor() {
+    super();
+    this.rooms = new Map();
+  }
+
+  async load(roomId) {
+    const room = this.rooms.get(roomId);
+    // Hand out copies so callers can't mutate state outside updateRoom
+    return room ? structuredClone(room) : null;
+  }
+
+  async save(room) {
+    this.rooms.set(room.id, structuredClone(room));
+  }
+
+  async remove(roomId) {
+    this.rooms.delete(roomId);
+  }
+
+  async list() {
+    return Array.from(this.rooms.keys());
+  }
+}
+
+module.exports = MemoryRoomStore;
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const { createClient } = require('redis');
+const RoomStore = require('./room-store');
+
+// A room lock older than this is assumed to belong to a crashed process
+const LOCK_TTL_MS = 5000;
+const LOCK_RETRY_MS = 25;
+
+// Release the lock only if we still own it
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0
+`;
+
+// Shares rooms between every server process pointed at the same Redis
+class RedisRoomStore extends RoomStore {
+  constructor(url, prefix = 'web-conference:') {
+    super();
+    this.client = createClient({ url });
+    this.prefix = prefix;
+
+    this.client.on('error', (error) => {
+      console.error('Redis room store error:', error);
+    });
+  }
+
+  async init() {
+    await this.client.connect();
+  }
+
+  roomKey(roomId) {
+    return `${this.prefix}room:${roomId}`;
+  }
+
+  lockKey(roomId) {
+    return `${this.prefix}lock:${roomId}`;
+  }
+
+  // Local serialisation is not enough once several processes share a room,
+  // so hold a Redis lock for the duration of every update as well
+  withLock(roomId, fn) {
+    return super.withLock(roomId, async () => {
+      const key = this.lockKey(roomId);
+      const token = crypto.randomUUID();
+
+      while (!(await this.client.set(key, token, { NX: true, PX: LOCK_TTL_MS }))) {
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+      }
+
+      try {
+        return await fn();
+      } finally {
+        await this.client.eval(RELEASE_LOCK_SCRIPT, { keys: [key], arguments: [token] });
+      }
+    });
+  }
+
+  async load(roomId) {
+    const data = await this.client.get(this.roomKey(roomId));
+    return data ? JSON.parse(data) : null;
+  }
+
+  async save(room) {
+    await this.client.set(this.roomKey(room.id), JSON.stringify(room));
+  }
+
+  async remove(roomId) {
+    await this.client.del(this.roomKey(roomId));
+  }
+
+  async list() {
+    const prefix = this.roomKey('');
+    const roomIds = [];
+    for await (const key of this.client.scanIterator({ MATCH: `${prefix}*` })) {
+      roomIds.push(key.slice(prefix.length));
+    }
+    return roomIds;
+  }
+}
+
+module.exports = RedisRoomStore;
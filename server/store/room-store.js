@@ -0,0 +1,418 @@
+// Base class for room state stores.
+//
+// A room is a plain, JSON-serialisable object:
+//   { id, createdAt, hostId, participants: { [participantId]: participant }, conversation: [],
+//     chat: [], handQueue: [{ participantId, raisedAt }], passwordHash, locked, lobbyEnabled,
+//     aiEnabled, aiSettings, transcriptionEnabled, transcript: [], timer, polls: [], agenda: [],
+//     notes: [], admitted: { [socketId]: true } }
+//
+// Participant IDs outlive socket connections: a participant records its
+// current socketId, and a disconnectedAt time while it may still resume.
+//
+// Implementations only have to provide load/save/remove/list; every
+// read-modify-write goes through withLock so concurrent socket events for the
+// same room can't clobber each other.
+
+// Keep persisted AI context bounded; the chat endpoint only ever sends the tail
+const MAX_CONVERSATION_LENGTH = 200;
+
+// Oldest chat messages and transcript segments are dropped beyond these
+const MAX_CHAT_HISTORY = 500;
+const MAX_TRANSCRIPT_SEGMENTS = 2000;
+
+// Limits on the meeting board; the oldest polls and notes make way for new ones
+const MAX_POLLS = 20;
+const MAX_NOTES = 200;
+const MAX_AGENDA_ITEMS = 50;
+
+class RoomStore {
+  constructor() {
+    this.locks = new Map();
+  }
+
+  async init() {}
+
+  async load(roomId) {
+    throw new Error('load() not implemented');
+  }
+
+  async save(room) {
+    throw new Error('save() not implemented');
+  }
+
+  async remove(roomId) {
+    throw new Error('remove() not implemented');
+  }
+
+  async list() {
+    throw new Error('list() not implemented');
+  }
+
+  createRoom(roomId) {
+    return {
+      id: roomId,
+      createdAt: new Date().toISOString(),
+      hostId: null,
+      participants: {},
+      conversation: [],
+      chat: [],
+      // Raised hands, in the order they went up
+      handQueue: [],
+      passwordHash: null,
+      locked: false,
+      lobbyEnabled: false,
+      aiEnabled: false,
+      // Only what the host changed; the rest comes from the assistant's defaults
+      aiSettings: {},
+      // Speech-to-text segments sent by each participant's browser
+      transcriptionEnabled: false,
+      transcript: [],
+      // The meeting board, mostly kept by the AI assistant's tools: one
+      // countdown at a time ({ id, label, startedAt, endsAt }), polls with
+      // votes by participant ID, agenda items that get ticked off, and notes
+      timer: null,
+      polls: [],
+      agenda: [],
+      notes: [],
+      // Sockets the host let in from the lobby, consumed when they join
+      admitted: {}
+    };
+  }
+
+  // Serialise async work per room
+  withLock(roomId, fn) {
+    const previous = this.locks.get(roomId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(fn);
+    const tail = next.catch(() => {});
+    this.locks.set(roomId, tail);
+    tail.then(() => {
+      if (this.locks.get(roomId) === tail) {
+        this.locks.delete(roomId);
+      }
+    });
+    return next;
+  }
+
+  getRoom(roomId) {
+    return this.load(roomId);
+  }
+
+  // Load (or create) a room, let the updater mutate it, then persist it.
+  // Resolves with the updater's return value, or the room if it returned nothing.
+  // With { create: false } a missing room is left alone and null is returned.
+  updateRoom(roomId, updater, { create = true } = {}) {
+    return this.withLock(roomId, async () => {
+      let room = await this.load(roomId);
+      if (!room) {
+        if (!create) return null;
+        room = this.createRoom(roomId);
+      }
+      const result = await updater(room);
+      await this.save(room);
+      return result === undefined ? room : result;
+    });
+  }
+
+  deleteRoom(roomId) {
+    return this.withLock(roomId, () => this.remove(roomId));
+  }
+
+  // The first participant in becomes host, unless asHost takes the role over
+  addParticipant(roomId, participant, { asHost = false } = {}) {
+    return this.updateRoom(roomId, (room) => {
+      room.participants[participant.id] = {
+        joinedAt: new Date().toISOString(),
+        ...participant
+      };
+      delete room.admitted[participant.socketId];
+      if (asHost || !room.participants[room.hostId]) {
+        room.hostId = participant.id;
+      }
+    });
+  }
+
+  // Removes a participant, handing the host role to whoever has been in the
+  // room longest and dropping the room once it is empty.
+  // Resolves with { room, ended }: room is what remains, or null once it has
+  // been deleted, and ended is the room as its last participant left it.
+  removeParticipant(roomId, participantId) {
+    return this.withLock(roomId, async () => {
+      const room = await this.load(roomId);
+      if (!room) return { room: null, ended: null };
+
+      delete room.participants[participantId];
+
+      if (Object.keys(room.participants).length === 0) {
+        await this.remove(roomId);
+        return { room: null, ended: room };
+      }
+
+      this.ensureHost(room);
+      this.pruneHands(room);
+      await this.save(room);
+      return { room, ended: null };
+    });
+  }
+
+  ensureHost(room) {
+    if (room.participants[room.hostId]) return;
+
+    // Prefer someone who is actually connected right now
+    const [next] = Object.values(room.participants)
+      .sort((a, b) => !b.disconnectedAt - !a.disconnectedAt || a.joinedAt.localeCompare(b.joinedAt));
+    room.hostId = next ? next.id : null;
+  }
+
+  // Hands of people who have left come down
+  pruneHands(room) {
+    room.handQueue = room.handQueue.filter(hand => room.participants[hand.participantId]);
+  }
+
+  // Hand a participant slot to a new socket, if the resume token matches
+  resumeParticipant(roomId, participantId, resumeToken, socketId) {
+    return this.updateRoom(roomId, (room) => {
+      const participant = room.participants[participantId];
+      if (!participant || !resumeToken || participant.resumeToken !== resumeToken) {
+        return null;
+      }
+
+      participant.socketId = socketId;
+      delete participant.disconnectedAt;
+      return room;
+    }, { create: false });
+  }
+
+  // Start the resume grace period, unless the slot already moved to another socket
+  markDisconnected(roomId, participantId, socketId) {
+    return this.updateRoom(roomId, (room) => {
+      const participant = room.participants[participantId];
+      if (!participant || participant.socketId !== socketId) return null;
+
+      participant.disconnectedAt = new Date().toISOString();
+      return room;
+    }, { create: false });
+  }
+
+  // Expire participants whose socket is gone. Ones without a disconnectedAt
+  // (their server crashed or restarted) are marked first, so they get the same
+  // grace period as everyone else to resume.
+  // Resolves with { room, removed, ended } like removeParticipant.
+  sweepParticipants(roomId, liveSocketIds, graceMs) {
+    return this.withLock(roomId, async () => {
+      const room = await this.load(roomId);
+      if (!room) return { room: null, removed: [], ended: null };
+
+      const now = Date.now();
+      const removed = [];
+      let changed = false;
+
+      Object.values(room.participants).forEach((participant) => {
+        if (liveSocketIds.has(participant.socketId)) return;
+
+        if (!participant.disconnectedAt) {
+          participant.disconnectedAt = new Date(now).toISOString();
+          changed = true;
+        } else if (now - Date.parse(participant.disconnectedAt) >= graceMs) {
+          delete room.participants[participant.id];
+          removed.push(participant);
+          changed = true;
+        }
+      });
+
+      if (Object.keys(room.participants).length === 0) {
+        await this.remove(roomId);
+        return { room: null, removed, ended: room };
+      }
+
+      if (changed) {
+        this.ensureHost(room);
+        this.pruneHands(room);
+        await this.save(room);
+      }
+      return { room, removed, ended: null };
+    });
+  }
+
+  // Raising an already raised hand keeps its place in the queue
+  raiseHand(roomId, participantId) {
+    return this.updateRoom(roomId, (room) => {
+      if (!room.participants[participantId]) return null;
+
+      if (!room.handQueue.some(hand => hand.participantId === participantId)) {
+        room.handQueue.push({ participantId, raisedAt: new Date().toISOString() });
+      }
+      return room;
+    }, { create: false });
+  }
+
+  lowerHand(roomId, participantId) {
+    return this.updateRoom(roomId, (room) => {
+      room.handQueue = room.handQueue.filter(hand => hand.participantId !== participantId);
+    }, { create: false });
+  }
+
+  clearHands(roomId) {
+    return this.updateRoom(roomId, (room) => {
+      room.handQueue = [];
+    }, { create: false });
+  }
+
+  // Whether a participant wants live captions shown; while anyone does,
+  // everyone's speech is captioned
+  setCaptions(roomId, participantId, enabled) {
+    return this.updateRoom(roomId, (room) => {
+      const participant = room.participants[participantId];
+      if (!participant) return null;
+
+      participant.captions = enabled;
+      return room;
+    }, { create: false });
+  }
+
+  appendConversation(roomId, ...messages) {
+    return this.updateRoom(roomId, (room) => {
+      room.conversation.push(...messages);
+      if (room.conversation.length > MAX_CONVERSATION_LENGTH) {
+        room.conversation = room.conversation.slice(-MAX_CONVERSATION_LENGTH);
+      }
+      return room.conversation;
+    });
+  }
+
+  addChatMessage(roomId, message) {
+    return this.updateRoom(roomId, (room) => {
+      room.chat.push(message);
+      if (room.chat.length > MAX_CHAT_HISTORY) {
+        room.chat = room.chat.slice(-MAX_CHAT_HISTORY);
+      }
+      return message;
+    }, { create: false });
+  }
+
+  // Only the author may edit; resolves with the updated message or null
+  editChatMessage(roomId, messageId, authorId, text) {
+    return this.updateRoom(roomId, (room) => {
+      const message = room.chat.find(m => m.id === messageId);
+      if (!message || message.userId !== authorId) return null;
+
+      message.message = text;
+      message.editedAt = new Date().toISOString();
+      return message;
+    }, { create: false });
+  }
+
+  // Only the author may delete; resolves with the removed message or null
+  deleteChatMessage(roomId, messageId, authorId) {
+    return this.updateRoom(roomId, (room) => {
+      const index = room.chat.findIndex(m => m.id === messageId);
+      if (index === -1 || room.chat[index].userId !== authorId) return null;
+
+      return room.chat.splice(index, 1)[0];
+    }, { create: false });
+  }
+
+  // Only kept while the room has transcription turned on
+  addTranscriptSegment(roomId, segment) {
+    return this.updateRoom(roomId, (room) => {
+      if (!room.transcriptionEnabled) return null;
+
+      room.transcript.push(segment);
+      if (room.transcript.length > MAX_TRANSCRIPT_SEGMENTS) {
+        room.transcript = room.transcript.slice(-MAX_TRANSCRIPT_SEGMENTS);
+      }
+      return segment;
+    }, { create: false });
+  }
+
+  // A null timer cancels the running one
+  setTimer(roomId, timer) {
+    return this.updateRoom(roomId, (room) => {
+      room.timer = timer;
+      return room;
+    }, { create: false });
+  }
+
+  addPoll(roomId, poll) {
+    return this.updateRoom(roomId, (room) => {
+      room.polls.push(poll);
+      if (room.polls.length > MAX_POLLS) {
+        room.polls = room.polls.slice(-MAX_POLLS);
+      }
+      return room;
+    }, { create: false });
+  }
+
+  // Resolves with { room, poll }, or null if there's no such open poll
+  closePoll(roomId, pollId) {
+    return this.updateRoom(roomId, (room) => {
+      const poll = room.polls.find(p => p.id === pollId);
+      if (!poll || poll.closed) return null;
+
+      poll.closed = true;
+      return { room, poll };
+    }, { create: false });
+  }
+
+  // Voting again changes the participant's vote; null if it doesn't count
+  votePoll(roomId, pollId, participantId, option) {
+    return this.updateRoom(roomId, (room) => {
+      const poll = room.polls.find(p => p.id === pollId);
+      if (!poll || poll.closed || !room.participants[participantId] ||
+          !Number.isInteger(option) || option < 0 || option >= poll.options.length) {
+        return null;
+      }
+
+      poll.votes[participantId] = option;
+      return room;
+    }, { create: false });
+  }
+
+  addNote(roomId, note) {
+    return this.updateRoom(roomId, (room) => {
+      room.notes.push(note);
+      if (room.notes.length > MAX_NOTES) {
+        room.notes = room.notes.slice(-MAX_NOTES);
+      }
+      return room;
+    }, { create: false });
+  }
+
+  // Items past the limit are left off
+  addAgendaItems(roomId, items) {
+    return this.updateRoom(roomId, (room) => {
+      room.agenda.push(...items.slice(0, MAX_AGENDA_ITEMS - room.agenda.length));
+      return room;
+    }, { create: false });
+  }
+
+  // Ticks off the current item; resolves with { room, finished }, where
+  // finished is null if everything was already done
+  advanceAgenda(roomId) {
+    return this.updateRoom(roomId, (room) => {
+      const finished = room.agenda.find(item => !item.done) || null;
+      if (finished) finished.done = true;
+      return { room, finished };
+    }, { create: false });
+  }
+
+  // A page of the chat history viewerId may see, newest last. Private
+  // messages (those with a `to`) are only visible to their two ends. Pass the
+  // ID of the oldest message already shown as `before` to page further back.
+  async getChatHistory(roomId, { viewerId, before = null, limit = 50 } = {}) {
+    const room = await this.load(roomId);
+    if (!room) return { messages: [], hasMore: false };
+
+    const visible = room.chat.filter(m => !m.to || m.to === viewerId || m.userId === viewerId);
+
+    let end = visible.length;
+    if (before) {
+      const index = visible.findIndex(m => m.id === before);
+      end = index === -1 ? 0 : index;
+    }
+
+    const start = Math.max(0, end - limit);
+    return { messages: visible.slice(start, end), hasMore: start > 0 };
+  }
+}
+
+module.exports = RoomStore;
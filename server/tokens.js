@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+
+// Minimal HS256 JWTs for invite links. Claims:
+//   sub  - the user's ID in your system
+//   name - display name shown in the meeting
+//   room - the only room this token can join
+//   role - 'host' or 'participant'
+//   exp  - expiry, in seconds since the epoch
+
+const HEADER = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function sign(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function signToken(claims, secret, expiresInSeconds = 24 * 60 * 60) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = base64url(JSON.stringify({
+    iat: now,
+    exp: now + expiresInSeconds,
+    ...claims
+  }));
+  return `${HEADER}.${payload}.${sign(`${HEADER}.${payload}`, secret)}`;
+}
+
+// Resolves the token's claims, or null if it is malformed, forged or expired
+function verifyToken(token, secret) {
+  if (typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+    if (alg !== 'HS256') return null;
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp !== 'number' || claims.exp <= now) return null;
+    if (typeof claims.nbf === 'number' && claims.nbf > now) return null;
+    if (!claims.sub || !claims.name || !claims.room) return null;
+
+    return claims;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = { signToken, verifyToken };
@@ -0,0 +1,166 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { createClient } = require('redis');
+const writeFileAtomic = require('./write-file-atomic');
+
+const KINDS = ['requests', 'speechCharacters'];
+
+// Daily AI usage against quotas: model requests and characters of synthesised
+// speech, for the whole server and per room. Counts reset at midnight UTC and
+// each day's are saved to a JSON file, so a restart doesn't reset the quota.
+// The file belongs to one process; several share counts through Redis with
+// RedisUsageLedger instead.
+class UsageLedger {
+  constructor(directory, limits) {
+    this.directory = directory;
+    // { requests, speechCharacters } allowed per day
+    this.limits = limits;
+    this.day = emptyDay(today());
+    this.saving = Promise.resolve();
+  }
+
+  file(date) {
+    return path.join(this.directory, `${date}.json`);
+  }
+
+  // Never rejects: without a readable file, today's counts start from zero in
+  // memory and saving them reports its own errors
+  async init() {
+    try {
+      await fs.mkdir(this.directory, { recursive: true });
+      this.day = JSON.parse(await fs.readFile(this.file(this.day.date), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('Failed to load AI usage:', error);
+    }
+  }
+
+  // Today's { date, total, rooms }
+  async current() {
+    const date = today();
+    if (this.day.date !== date) {
+      this.day = emptyDay(date);
+    }
+    return this.day;
+  }
+
+  async add(roomId, kind, amount) {
+    const day = await this.current();
+
+    day.total[kind] += amount;
+    if (roomId) {
+      const room = day.rooms[roomId] || (day.rooms[roomId] = emptyCounts());
+      room[kind] += amount;
+    }
+
+    // Writes go one after another, each with the latest counts
+    const json = JSON.stringify(day);
+    this.saving = this.saving
+      .then(() => writeFileAtomic(this.file(day.date), json))
+      .catch(error => console.error('Failed to save AI usage:', error));
+  }
+
+  // An error message if using amount more of kind would go over today's quota
+  async check(kind, amount = 1) {
+    const { total } = await this.current();
+
+    if (total[kind] + amount > this.limits[kind]) {
+      return kind === 'speechCharacters'
+        ? 'The AI voice has reached its daily limit'
+        : 'The AI assistant has reached its daily limit';
+    }
+    return null;
+  }
+
+  async record(roomId, kind, amount = 1) {
+    await this.add(roomId, kind, amount);
+  }
+
+  // Today's usage against the quotas; rooms only for callers allowed to see them
+  async report({ rooms = false } = {}) {
+    const { date, total, rooms: byRoom } = await this.current();
+    return {
+      date,
+      requests: { used: total.requests, limit: this.limits.requests },
+      speechCharacters: { used: total.speechCharacters, limit: this.limits.speechCharacters },
+      ...(rooms ? { rooms: byRoom } : {})
+    };
+  }
+}
+
+// The same ledger kept in Redis, so every server process pointed at it counts
+// against one quota. Each day is a hash of counters (total:<kind> and
+// room:<roomId>:<kind>) that expires once the day is long over.
+class RedisUsageLedger extends UsageLedger {
+  constructor(url, limits, prefix = 'web-conference:') {
+    super(null, limits);
+    this.client = createClient({ url });
+    this.prefix = prefix;
+
+    this.client.on('error', (error) => {
+      console.error('Redis usage ledger error:', error);
+    });
+  }
+
+  async init() {
+    await this.client.connect();
+  }
+
+  key(date) {
+    return `${this.prefix}usage:${date}`;
+  }
+
+  async current() {
+    const date = today();
+    const day = emptyDay(date);
+    const counters = await this.client.hGetAll(this.key(date));
+    Object.entries(counters).forEach(([field, value]) => {
+      const split = field.lastIndexOf(':');
+      const kind = field.slice(split + 1);
+      if (!KINDS.includes(kind)) return;
+
+      if (field.startsWith('total:')) {
+        day.total[kind] = Number(value);
+      } else if (field.startsWith('room:')) {
+        const roomId = field.slice('room:'.length, split);
+        const room = day.rooms[roomId] || (day.rooms[roomId] = emptyCounts());
+        room[kind] = Number(value);
+      }
+    });
+    return day;
+  }
+
+  async add(roomId, kind, amount) {
+    const key = this.key(today());
+    const update = this.client.multi().hIncrBy(key, `total:${kind}`, amount);
+    if (roomId) {
+      update.hIncrBy(key, `room:${roomId}:${kind}`, amount);
+    }
+    await update.expire(key, USAGE_TTL_SECONDS).exec();
+  }
+}
+
+// Long enough for a day's counts to outlast the day in every time zone
+const USAGE_TTL_SECONDS = 2 * 24 * 60 * 60;
+
+function emptyCounts() {
+  return { requests: 0, speechCharacters: 0 };
+}
+
+function emptyDay(date) {
+  return { date, total: emptyCounts(), rooms: {} };
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// A Redis ledger when REDIS_URL is set, so every process shares the quota;
+// otherwise one saved under USAGE_DIR
+function createUsageLedger(limits, env = process.env) {
+  if (env.REDIS_URL) {
+    return new RedisUsageLedger(env.REDIS_URL, limits);
+  }
+  return new UsageLedger(env.USAGE_DIR || path.join(__dirname, '../data/usage'), limits);
+}
+
+module.exports = { UsageLedger, RedisUsageLedger, createUsageLedger };
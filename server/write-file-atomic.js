@@ -0,0 +1,14 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+
+// Write to a temporary file then rename it into place, so a crash never
+// leaves a half-written file and readers see either the old or the new one.
+// Every write gets its own temporary file, so concurrent writes to the same
+// file, in this process or another, can't clobber each other's.
+async function writeFileAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+  await fs.writeFile(tmp, data);
+  await fs.rename(tmp, file);
+}
+
+module.exports = writeFileAtomic;
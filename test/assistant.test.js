@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MockProvider = require('../server/llm/mock-provider');
+const MemoryRoomStore = require('../server/store/memory-store');
+const { askAssistant, assistantPrompt } = require('../server/assistant');
+const { MEETING_TOOLS, runMeetingTool } = require('../server/meeting-tools');
+
+function setup() {
+  const llm = new MockProvider();
+  const store = new MemoryRoomStore();
+  return { llm, store };
+}
+
+test('assistantPrompt strips the trigger and ignores other messages', () => {
+  assert.equal(assistantPrompt('@ai what time is it?'), 'what time is it?');
+  assert.equal(assistantPrompt('Hey AI, summarise'), 'summarise');
+  assert.equal(assistantPrompt('@ai'), null);
+  assert.equal(assistantPrompt('hello everyone'), null);
+});
+
+test('askAssistant streams the reply and keeps it in the conversation', async () => {
+  const { llm, store } = setup();
+  const deltas = [];
+
+  const reply = await askAssistant({ llm, store }, 'room', 'hello there', {
+    onDelta: delta => deltas.push(delta)
+  });
+
+  assert.equal(reply, 'Mock reply to: hello there');
+  assert.equal(deltas.join(''), reply);
+
+  const room = await store.getRoom('room');
+  assert.deepEqual(room.conversation, [
+    { role: 'user', content: 'hello there' },
+    { role: 'assistant', content: reply }
+  ]);
+});
+
+test('askAssistant trims the reply to maxTokens words', async () => {
+  const { llm, store } = setup();
+
+  const reply = await askAssistant({ llm, store }, 'room', 'one two three four', {
+    settings: { name: 'Bot', systemPrompt: 'Be brief', model: null, maxTokens: 3, contextSize: 20 }
+  });
+
+  assert.equal(reply, 'Mock reply to:');
+});
+
+test('askAssistant runs a /tool call and answers with its result', async () => {
+  const { llm, store } = setup();
+  await store.updateRoom('room', () => {});
+  const calls = [];
+
+  const reply = await askAssistant({ llm, store }, 'room', 'please /add_note {"text": "Alice owns the migration"}', {
+    tools: MEETING_TOOLS,
+    onToolCall: async (call) => {
+      calls.push(call);
+      const { result } = await runMeetingTool(store, 'room', call, { username: 'Bob' });
+      return result;
+    }
+  });
+
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].name, 'add_note');
+  assert.deepEqual(calls[0].arguments, { text: 'Alice owns the migration' });
+  assert.equal(reply, 'Done: {"noted":"Alice owns the migration"}');
+
+  const room = await store.getRoom('room');
+  assert.equal(room.notes.length, 1);
+  assert.equal(room.notes[0].addedBy, 'Bob');
+  // Only the question and the final reply are remembered
+  assert.deepEqual(room.conversation.map(message => message.role), ['user', 'assistant']);
+});
+
+test('askAssistant ignores /tool for tools it was not given', async () => {
+  const { llm, store } = setup();
+
+  const reply = await askAssistant({ llm, store }, 'room', 'run /add_note {"text": "x"}', {
+    onToolCall: () => assert.fail('no tool should run')
+  });
+
+  assert.equal(reply, 'Mock reply to: run /add_note {"text": "x"}');
+});
+
+test('a /tool call with malformed JSON reaches the tool as an error', async () => {
+  const { llm, store } = setup();
+  await store.updateRoom('room', () => {});
+  const results = [];
+
+  await askAssistant({ llm, store }, 'room', '/start_timer {minutes: 5}', {
+    tools: MEETING_TOOLS,
+    onToolCall: async (call) => {
+      const { result } = await runMeetingTool(store, 'room', call, { username: 'Bob' });
+      results.push(result);
+      return result;
+    }
+  });
+
+  assert.deepEqual(results, [{ error: 'Arguments must be a JSON object' }]);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MemoryRoomStore = require('../server/store/memory-store');
+const { runMeetingTool } = require('../server/meeting-tools');
+
+async function setup() {
+  const store = new MemoryRoomStore();
+  await store.updateRoom('room', () => {});
+  const run = (name, args = {}) => runMeetingTool(store, 'room', { name, arguments: args }, { username: 'Alice' });
+  return { store, run };
+}
+
+test('start_timer and cancel_timer', async () => {
+  const { run } = await setup();
+
+  const started = await run('start_timer', { minutes: 5, label: 'Break' });
+  assert.equal(started.changed, 'timer');
+  assert.equal(started.result.started, 'Break');
+  const { startedAt, endsAt } = started.room.timer;
+  assert.equal(Date.parse(endsAt) - Date.parse(startedAt), 5 * 60 * 1000);
+
+  const cancelled = await run('cancel_timer');
+  assert.deepEqual(cancelled.result, { cancelled: 'Break' });
+  assert.equal(cancelled.room.timer, null);
+
+  assert.deepEqual((await run('cancel_timer')).result, { error: 'No timer is running' });
+});
+
+test('start_timer rejects lengths out of range', async () => {
+  const { run } = await setup();
+
+  for (const minutes of [0, -1, 181, '5', NaN]) {
+    const { result, room } = await run('start_timer', { minutes });
+    assert.ok(result.error, `minutes ${minutes}`);
+    assert.equal(room, undefined);
+  }
+});
+
+test('create_poll needs a question and 2 to 10 options', async () => {
+  const { run } = await setup();
+
+  assert.ok((await run('create_poll', { question: 'Lunch?', options: ['Pizza'] })).result.error);
+  assert.ok((await run('create_poll', { question: '', options: ['a', 'b'] })).result.error);
+
+  const created = await run('create_poll', { question: 'Lunch?', options: ['Pizza', ' ', 'Sushi'] });
+  assert.deepEqual(created.result, { created: 'Lunch?', options: ['Pizza', 'Sushi'] });
+
+  const closed = await run('close_poll');
+  assert.equal(closed.result.question, 'Lunch?');
+  assert.deepEqual((await run('close_poll')).result, { error: 'There is no open poll' });
+});
+
+test('agenda items are ticked off in order', async () => {
+  const { run } = await setup();
+
+  await run('add_agenda_items', { items: ['Intro', 'Budget'] });
+  assert.equal((await run('next_agenda_item')).result.finished, 'Intro');
+  assert.deepEqual((await run('get_agenda')).result, {
+    agenda: [{ title: 'Intro', done: true }, { title: 'Budget', done: false }],
+    current: 'Budget'
+  });
+
+  assert.equal((await run('next_agenda_item')).result.finished, 'Budget');
+  assert.equal((await run('next_agenda_item')).result.error, 'Every agenda item is already done');
+});
+
+test('tools report that the meeting has ended once the room is gone', async () => {
+  const { store, run } = await setup();
+  await store.deleteRoom('room');
+
+  const ended = { error: 'The meeting has ended' };
+  assert.deepEqual((await run('start_timer', { minutes: 1 })).result, ended);
+  assert.deepEqual((await run('create_poll', { question: 'Q', options: ['a', 'b'] })).result, ended);
+  assert.deepEqual((await run('add_note', { text: 'x' })).result, ended);
+  assert.deepEqual((await run('add_agenda_items', { items: ['x'] })).result, ended);
+  assert.deepEqual((await run('next_agenda_item')).result, ended);
+  assert.deepEqual((await run('get_agenda')).result, ended);
+});
+
+test('unknown tools and non-object arguments are errors', async () => {
+  const { run } = await setup();
+
+  assert.deepEqual((await run('launch_rocket')).result, { error: 'Unknown tool launch_rocket' });
+  assert.deepEqual((await run('add_note', null)).result, { error: 'Arguments must be a JSON object' });
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MemoryRoomStore = require('../server/store/memory-store');
+
+function participant(id, extra = {}) {
+  return { id, username: id, socketId: `socket-${id}`, resumeToken: `token-${id}`, ...extra };
+}
+
+test('withLock runs work for one room in the order it was queued', async () => {
+  const store = new MemoryRoomStore();
+  const order = [];
+
+  await Promise.all([30, 0, 10].map((delay, index) => store.withLock('room', async () => {
+    await new Promise(resolve => setTimeout(resolve, delay));
+    order.push(index);
+  })));
+
+  assert.deepEqual(order, [0, 1, 2]);
+});
+
+test('a failed update does not block the ones queued after it', async () => {
+  const store = new MemoryRoomStore();
+
+  const failed = store.withLock('room', async () => {
+    throw new Error('boom');
+  });
+  const next = store.withLock('room', async () => 'ran');
+
+  await assert.rejects(failed, /boom/);
+  assert.equal(await next, 'ran');
+});
+
+test('concurrent updates to a room are not lost', async () => {
+  const store = new MemoryRoomStore();
+  await store.updateRoom('room', () => {});
+
+  await Promise.all(Array.from({ length: 20 }, (_, index) => store.addChatMessage('room', {
+    id: `m${index}`,
+    userId: 'p',
+    username: 'P',
+    message: `message ${index}`,
+    timestamp: new Date().toISOString()
+  })));
+
+  const room = await store.getRoom('room');
+  assert.deepEqual(room.chat.map(message => message.id), Array.from({ length: 20 }, (_, index) => `m${index}`));
+});
+
+test('rooms handed out are copies', async () => {
+  const store = new MemoryRoomStore();
+  await store.updateRoom('room', () => {});
+
+  const room = await store.getRoom('room');
+  room.locked = true;
+
+  assert.equal((await store.getRoom('room')).locked, false);
+});
+
+test('updateRoom with create: false leaves a missing room alone', async () => {
+  const store = new MemoryRoomStore();
+
+  assert.equal(await store.updateRoom('room', () => {}, { create: false }), null);
+  assert.equal(await store.getRoom('room'), null);
+});
+
+test('the host role passes on and the last one out ends the room', async () => {
+  const store = new MemoryRoomStore();
+  await store.addParticipant('room', participant('a'));
+  await store.addParticipant('room', participant('b'));
+  await store.addTranscriptSegment('room', { text: 'ignored, transcription is off' });
+
+  const first = await store.removeParticipant('room', 'a');
+  assert.equal(first.room.hostId, 'b');
+  assert.equal(first.ended, null);
+
+  const last = await store.removeParticipant('room', 'b');
+  assert.equal(last.room, null);
+  assert.equal(last.ended.id, 'room');
+  assert.equal(await store.getRoom('room'), null);
+});
+
+test('private messages are only in their two ends\' history, paged newest last', async () => {
+  const store = new MemoryRoomStore();
+  await store.updateRoom('room', () => {});
+  const add = (id, extra = {}) => store.addChatMessage('room', {
+    id, userId: 'a', username: 'A', message: id, timestamp: new Date().toISOString(), ...extra
+  });
+  await add('m1');
+  await add('m2', { to: 'b' });
+  await add('m3');
+  await add('m4');
+
+  const forC = await store.getChatHistory('room', { viewerId: 'c', limit: 2 });
+  assert.deepEqual(forC.messages.map(message => message.id), ['m3', 'm4']);
+  assert.equal(forC.hasMore, true);
+
+  const older = await store.getChatHistory('room', { viewerId: 'c', before: 'm3', limit: 2 });
+  assert.deepEqual(older.messages.map(message => message.id), ['m1']);
+  assert.equal(older.hasMore, false);
+
+  const forB = await store.getChatHistory('room', { viewerId: 'b', limit: 10 });
+  assert.deepEqual(forB.messages.map(message => message.id), ['m1', 'm2', 'm3', 'm4']);
+});
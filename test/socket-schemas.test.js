@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateEvent } = require('../server/socket-schemas');
+
+test('accepts valid payloads', () => {
+  assert.equal(validateEvent('join-room', [{ roomId: 'abc', username: 'Alice' }]), null);
+  assert.equal(validateEvent('join-room', [{ roomId: 'abc', username: 'Alice', password: null, token: null }]), null);
+  assert.equal(validateEvent('ice-candidate', [{ to: 'p1', candidate: { candidate: 'c', sdpMid: '0', sdpMLineIndex: 0 } }]), null);
+  assert.equal(validateEvent('poll-vote', [{ pollId: 'p', option: 2 }]), null);
+  assert.equal(validateEvent('raise-hand', []), null);
+});
+
+test('rejects unknown events and wrong argument counts', () => {
+  assert.equal(validateEvent('drop-tables', []), 'Unknown event drop-tables');
+  assert.equal(validateEvent('toString', []), 'Unknown event toString');
+  assert.equal(validateEvent('raise-hand', [{}]), 'raise-hand takes no payload');
+  assert.equal(validateEvent('caption', []), 'caption takes a single payload');
+});
+
+test('checks types, including integers and non-finite numbers', () => {
+  assert.equal(validateEvent('toggle-audio', [{ enabled: 'yes' }]), 'payload.enabled must be a boolean');
+  assert.equal(validateEvent('poll-vote', [{ pollId: 'p', option: 1.5 }]), 'payload.option must be an integer');
+  assert.equal(validateEvent('poll-vote', [{ pollId: 'p', option: Infinity }]), 'payload.option must be an integer');
+  assert.equal(validateEvent('join-room', [{ roomId: 'abc', username: 'A', password: 5 }]),
+    'payload.password must be a string or null');
+  assert.equal(validateEvent('chat-message', ['hi']), 'payload must be an object');
+  assert.equal(validateEvent('chat-message', [null]), 'payload must be an object');
+});
+
+test('checks required and unexpected properties', () => {
+  assert.equal(validateEvent('join-room', [{ username: 'A' }]), 'payload.roomId is required');
+  assert.equal(validateEvent('toggle-audio', [{ enabled: true, extra: 1 }]), 'payload.extra is not allowed');
+  assert.equal(validateEvent('join-room', [{ roomId: 'abc', username: 'A', session: { participantId: 'p' } }]),
+    'payload.session.resumeToken is required');
+});
+
+test('checks lengths, enums and ranges', () => {
+  assert.equal(validateEvent('join-room', [{ roomId: '', username: 'A' }]), 'payload.roomId must not be empty');
+  assert.equal(validateEvent('join-room', [{ roomId: 'abc', username: 'A'.repeat(101) }]),
+    'payload.username must be at most 100 characters');
+  assert.equal(validateEvent('caption', [{ text: 'x'.repeat(501) }]), 'payload.text must be at most 500 characters');
+  assert.equal(validateEvent('host-mute', [{ userId: 'p', kind: 'screen' }]), 'payload.kind must be one of audio, video');
+  assert.equal(validateEvent('poll-vote', [{ pollId: 'p', option: -1 }]), 'payload.option must be at least 0');
+  assert.equal(validateEvent('offer', [{ to: 'p', offer: { type: 'answer', sdp: '' } }]),
+    'payload.offer.type must be one of offer');
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { signToken, verifyToken } = require('../server/tokens');
+
+const SECRET = 'test-secret';
+const CLAIMS = { sub: 'user-1', name: 'Alice', room: 'standup', role: 'host' };
+
+test('a signed token verifies to its claims', () => {
+  const claims = verifyToken(signToken(CLAIMS, SECRET), SECRET);
+
+  assert.equal(claims.sub, 'user-1');
+  assert.equal(claims.name, 'Alice');
+  assert.equal(claims.room, 'standup');
+  assert.equal(claims.role, 'host');
+  assert.equal(claims.exp - claims.iat, 24 * 60 * 60);
+});
+
+test('tokens signed with another secret are rejected', () => {
+  assert.equal(verifyToken(signToken(CLAIMS, 'other-secret'), SECRET), null);
+});
+
+test('tampered claims are rejected', () => {
+  const [header, , signature] = signToken(CLAIMS, SECRET).split('.');
+  const payload = Buffer.from(JSON.stringify({ ...CLAIMS, room: 'board', exp: 9999999999 })).toString('base64url');
+
+  assert.equal(verifyToken(`${header}.${payload}.${signature}`, SECRET), null);
+});
+
+test('expired and not-yet-valid tokens are rejected', () => {
+  assert.equal(verifyToken(signToken(CLAIMS, SECRET, -1), SECRET), null);
+
+  const nbf = Math.floor(Date.now() / 1000) + 60;
+  assert.equal(verifyToken(signToken({ ...CLAIMS, nbf }, SECRET), SECRET), null);
+});
+
+test('tokens without a subject, name or room are rejected', () => {
+  for (const claim of ['sub', 'name', 'room']) {
+    const claims = { ...CLAIMS };
+    delete claims[claim];
+    assert.equal(verifyToken(signToken(claims, SECRET), SECRET), null, claim);
+  }
+});
+
+test('other algorithms and malformed input are rejected', () => {
+  const [, payload] = signToken(CLAIMS, SECRET).split('.');
+  const none = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url');
+
+  assert.equal(verifyToken(`${none}.${payload}.`, SECRET), null);
+  assert.equal(verifyToken('not-a-token', SECRET), null);
+  assert.equal(verifyToken('a.b.c', SECRET), null);
+  assert.equal(verifyToken(null, SECRET), null);
+});